@@ -14,9 +14,16 @@ import { ReactQueryDevtools } from "@tanstack/react-query-devtools";
 import { Toaster } from "react-hot-toast";
 import Booking from "./pages/Booking";
 import Checkin from "./pages/Checkin";
+import Checkout from "./pages/Checkout";
+import Guests from "./pages/Guests";
+import Guest from "./pages/Guest";
+import GuestDuplicates from "./pages/GuestDuplicates";
 import ProtectedRoute from "./ui/ProtectedRoute";
 import { DarkModeProvider } from "./context/DarkModeContext";
 import Dashboard from "./pages/Dashboard";
+import Calendar from "./pages/Calendar";
+import CreditNote from "./pages/CreditNote";
+import RegistrationCard from "./pages/RegistrationCard";
 
 const queryClient = new QueryClient({
   defaultOptions: {
@@ -46,12 +53,33 @@ function App() {
               <Route path="dashboard" element={<Dashboard />} />
               <Route path="bookings" element={<Bookings />} />
               <Route path="bookings/:bookingId" element={<Booking />} />
+              <Route path="calendar" element={<Calendar />} />
               <Route path="checkin/:bookingId" element={<Checkin />} />
+              <Route path="checkout/:bookingId" element={<Checkout />} />
               <Route path="cabins" element={<Cabins />} />
+              <Route path="guests" element={<Guests />} />
+              <Route path="guests/duplicates" element={<GuestDuplicates />} />
+              <Route path="guests/:guestId" element={<Guest />} />
               <Route path="users" element={<NewUsers />} />
               <Route path="settings" element={<Settings />} />
               <Route path="account" element={<Account />} />
             </Route>
+            <Route
+              path="credit-notes/:refundId"
+              element={
+                <ProtectedRoute>
+                  <CreditNote />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="registration-cards/:bookingId"
+              element={
+                <ProtectedRoute>
+                  <RegistrationCard />
+                </ProtectedRoute>
+              }
+            />
             <Route path="login" element={<Login />} />
             <Route path="*" element={<PageNotFound />} />
           </Routes>
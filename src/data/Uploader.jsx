@@ -2,11 +2,17 @@ import { useState } from "react";
 import { isFuture, isPast, isToday } from "date-fns";
 import supabase from "../services/supabase";
 import Button from "../ui/Button";
-import { subtractDates } from "../utils/helpers";
+import {
+  calcExtrasPrice,
+  subtractDates,
+  toBookingExtras,
+} from "../utils/helpers";
+import { toCountryCode } from "../utils/countries";
 
 import { bookings } from "./data-bookings";
 import { cabins } from "./data-cabins";
 import { guests } from "./data-guests";
+import { extras } from "./data-extras";
 
 // const originalSettings = {
 //   minBookingLength: 3,
@@ -25,6 +31,11 @@ async function deleteCabins() {
   if (error) console.log(error.message);
 }
 
+async function deleteExtras() {
+  const { error } = await supabase.from("extras").delete().gt("id", 0);
+  if (error) console.log(error.message);
+}
+
 async function deleteBookings() {
   const { error } = await supabase.from("bookings").delete().gt("id", 0);
   if (error) console.log(error.message);
@@ -35,6 +46,11 @@ async function createGuests() {
   if (error) console.log(error.message);
 }
 
+async function createExtras() {
+  const { error } = await supabase.from("extras").insert(extras);
+  if (error) console.log(error.message);
+}
+
 async function createCabins() {
   const { error } = await supabase.from("cabins").insert(cabins);
   if (error) console.log(error.message);
@@ -52,15 +68,24 @@ async function createBookings() {
     .select("id")
     .order("id");
   const allCabinIds = cabinsIds.map((cabin) => cabin.id);
+  // The sample bookings only say whether breakfast was included
+  const { data: breakfast } = await supabase
+    .from("extras")
+    .select("*")
+    .eq("name", "Breakfast")
+    .single();
 
   const finalBookings = bookings.map((booking) => {
     // Here relying on the order of cabins, as they don't have and ID yet
     const cabin = cabins.at(booking.cabinId - 1);
     const numNights = subtractDates(booking.endDate, booking.startDate);
     const cabinPrice = numNights * (cabin.regularPrice - cabin.discount);
-    const extrasPrice = booking.hasBreakfast
-      ? numNights * 15 * booking.numGuests
-      : 0; // hardcoded breakfast price
+    const bookingExtras =
+      booking.hasBreakfast && breakfast ? toBookingExtras([breakfast]) : [];
+    const extrasPrice = calcExtrasPrice(bookingExtras, {
+      numNights,
+      numGuests: booking.numGuests,
+    });
     const totalPrice = cabinPrice + extrasPrice;
 
     let status;
@@ -86,6 +111,7 @@ async function createBookings() {
       ...booking,
       numNights,
       cabinPrice,
+      extras: bookingExtras,
       extrasPrice,
       totalPrice,
       guestId: allGuestIds.at(booking.guestId - 1),
@@ -100,6 +126,36 @@ async function createBookings() {
   if (error) console.log(error.message);
 }
 
+// Guests added before nationalities were country codes have a country name, or only a flag URL. Only needed once per database
+async function fixGuestCountries() {
+  const { data: guests, error } = await supabase
+    .from("guests")
+    .select("id, nationality, countryFlag");
+  if (error) return console.log(error.message);
+
+  const changed = guests
+    .map((guest) => ({
+      id: guest.id,
+      nationality:
+        toCountryCode(guest.nationality) || toCountryCode(guest.countryFlag),
+      oldNationality: guest.nationality,
+    }))
+    .filter(
+      ({ nationality, oldNationality }) =>
+        nationality && nationality !== oldNationality,
+    );
+
+  for (const { id, nationality } of changed) {
+    const { error } = await supabase
+      .from("guests")
+      .update({ nationality })
+      .eq("id", id);
+    if (error) console.log(error.message);
+  }
+
+  console.log(`${changed.length} guest countries updated`);
+}
+
 function Uploader() {
   const [isLoading, setIsLoading] = useState(false);
 
@@ -109,15 +165,23 @@ function Uploader() {
     await deleteBookings();
     await deleteGuests();
     await deleteCabins();
+    await deleteExtras();
 
     // Bookings need to be created LAST
     await createGuests();
     await createCabins();
+    await createExtras();
     await createBookings();
 
     setIsLoading(false);
   }
 
+  async function fixCountries() {
+    setIsLoading(true);
+    await fixGuestCountries();
+    setIsLoading(false);
+  }
+
   async function uploadBookings() {
     setIsLoading(true);
     await deleteBookings();
@@ -147,6 +211,10 @@ function Uploader() {
       <Button onClick={uploadBookings} disabled={isLoading}>
         Upload bookings ONLY
       </Button>
+
+      <Button onClick={fixCountries} disabled={isLoading}>
+        Fix guest countries
+      </Button>
     </div>
   );
 }
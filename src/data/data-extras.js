@@ -0,0 +1,6 @@
+export const extras = [
+  { name: "Breakfast", price: 15, pricing: "guest-night", isActive: true },
+  { name: "Firewood", price: 10, pricing: "night", isActive: true },
+  { name: "Airport transfer", price: 40, pricing: "stay", isActive: true },
+  { name: "Welcome basket", price: 8, pricing: "guest", isActive: true },
+];
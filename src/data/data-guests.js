@@ -5,213 +5,183 @@ export const guests = [
     // id: 1000,
     fullName: 'Jonas Schmedtmann',
     email: 'hello@jonas.io',
-    nationality: 'Portugal',
+    nationality: 'PT',
     nationalID: '3525436345',
-    countryFlag: 'https://flagcdn.com/pt.svg',
   },
   {
     fullName: 'Jonathan Smith',
     email: 'johnsmith@test.eu',
-    nationality: 'Great Britain',
+    nationality: 'GB',
     nationalID: '4534593454',
-    countryFlag: 'https://flagcdn.com/gb.svg',
   },
   {
     fullName: 'Jonatan Johansson',
     email: 'jonatan@example.com',
-    nationality: 'Finland',
+    nationality: 'FI',
     nationalID: '9374074454',
-    countryFlag: 'https://flagcdn.com/fi.svg',
   },
   {
     fullName: 'Jonas Mueller',
     email: 'jonas@example.eu',
-    nationality: 'Germany',
+    nationality: 'DE',
     nationalID: '1233212288',
-    countryFlag: 'https://flagcdn.com/de.svg',
   },
   {
     fullName: 'Jonas Anderson',
     email: 'anderson@example.com',
-    nationality: 'Bolivia (Plurinational State of)',
+    nationality: 'BO',
     nationalID: '0988520146',
-    countryFlag: 'https://flagcdn.com/bo.svg',
   },
   {
     fullName: 'Jonathan Williams',
     email: 'jowi@gmail.com',
-    nationality: 'United States of America',
+    nationality: 'US',
     nationalID: '633678543',
-    countryFlag: 'https://flagcdn.com/us.svg',
   },
 
   // GPT
   {
     fullName: 'Emma Watson',
     email: 'emma@gmail.com',
-    nationality: 'United Kingdom',
+    nationality: 'GB',
     nationalID: '1234578901',
-    countryFlag: 'https://flagcdn.com/gb.svg',
   },
   {
     fullName: 'Mohammed Ali',
     email: 'mohammedali@yahoo.com',
-    nationality: 'Egypt',
+    nationality: 'EG',
     nationalID: '987543210',
-    countryFlag: 'https://flagcdn.com/eg.svg',
   },
   {
     fullName: 'Maria Rodriguez',
     email: 'maria@gmail.com',
-    nationality: 'Spain',
+    nationality: 'ES',
     nationalID: '1098765321',
-    countryFlag: 'https://flagcdn.com/es.svg',
   },
   {
     fullName: 'Li Mei',
     email: 'li.mei@hotmail.com',
-    nationality: 'China',
+    nationality: 'CN',
     nationalID: '102934756',
-    countryFlag: 'https://flagcdn.com/cn.svg',
   },
   {
     fullName: 'Khadija Ahmed',
     email: 'khadija@gmail.com',
-    nationality: 'Sudan',
+    nationality: 'SD',
     nationalID: '1023457890',
-    countryFlag: 'https://flagcdn.com/sd.svg',
   },
   {
     fullName: 'Gabriel Silva',
     email: 'gabriel@gmail.com',
-    nationality: 'Brazil',
+    nationality: 'BR',
     nationalID: '109283465',
-    countryFlag: 'https://flagcdn.com/br.svg',
   },
   {
     fullName: 'Maria Gomez',
     email: 'maria@example.com',
-    nationality: 'Mexico',
+    nationality: 'MX',
     nationalID: '108765421',
-    countryFlag: 'https://flagcdn.com/mx.svg',
   },
   {
     fullName: 'Ahmed Hassan',
     email: 'ahmed@gmail.com',
-    nationality: 'Egypt',
+    nationality: 'EG',
     nationalID: '1077777777',
-    countryFlag: 'https://flagcdn.com/eg.svg',
   },
   {
     fullName: 'John Doe',
     email: 'johndoe@gmail.com',
-    nationality: 'United States',
+    nationality: 'US',
     nationalID: '3245908744',
-    countryFlag: 'https://flagcdn.com/us.svg',
   },
   {
     fullName: 'Fatima Ahmed',
     email: 'fatima@example.com',
-    nationality: 'Pakistan',
+    nationality: 'PK',
     nationalID: '1089999363',
-    countryFlag: 'https://flagcdn.com/pk.svg',
   },
   {
     fullName: 'David Smith',
     email: 'david@gmail.com',
-    nationality: 'Australia',
+    nationality: 'AU',
     nationalID: '44450960283',
-    countryFlag: 'https://flagcdn.com/au.svg',
   },
   {
     fullName: 'Marie Dupont',
     email: 'marie@gmail.com',
-    nationality: 'France',
+    nationality: 'FR',
     nationalID: '06934233728',
-    countryFlag: 'https://flagcdn.com/fr.svg',
   },
   {
     fullName: 'Ramesh Patel',
     email: 'ramesh@gmail.com',
-    nationality: 'India',
+    nationality: 'IN',
     nationalID: '9875412303',
-    countryFlag: 'https://flagcdn.com/in.svg',
   },
   {
     fullName: 'Fatimah Al-Sayed',
     email: 'fatimah@gmail.com',
-    nationality: 'Kuwait',
+    nationality: 'KW',
     nationalID: '0123456789',
-    countryFlag: 'https://flagcdn.com/kw.svg',
   },
   {
     fullName: 'Nina Williams',
     email: 'nina@hotmail.com',
-    nationality: 'South Africa',
+    nationality: 'ZA',
     nationalID: '2345678901',
-    countryFlag: 'https://flagcdn.com/za.svg',
   },
   {
     fullName: 'Taro Tanaka',
     email: 'taro@gmail.com',
-    nationality: 'Japan',
+    nationality: 'JP',
     nationalID: '3456789012',
-    countryFlag: 'https://flagcdn.com/jp.svg',
   },
   {
     fullName: 'Abdul Rahman',
     email: 'abdul@gmail.com',
-    nationality: 'Saudi Arabia',
+    nationality: 'SA',
     nationalID: '4567890123',
-    countryFlag: 'https://flagcdn.com/sa.svg',
   },
   {
     fullName: 'Julie Nguyen',
     email: 'julie@gmail.com',
-    nationality: 'Vietnam',
+    nationality: 'VN',
     nationalID: '5678901234',
-    countryFlag: 'https://flagcdn.com/vn.svg',
   },
   {
     fullName: 'Sara Lee',
     email: 'sara@gmail.com',
-    nationality: 'South Korea',
+    nationality: 'KR',
     nationalID: '6789012345',
-    countryFlag: 'https://flagcdn.com/kr.svg',
   },
   {
     fullName: 'Carlos Gomez',
     email: 'carlos@yahoo.com',
-    nationality: 'Colombia',
+    nationality: 'CO',
     nationalID: '7890123456',
-    countryFlag: 'https://flagcdn.com/co.svg',
   },
   {
     fullName: 'Emma Brown',
     email: 'emma@gmail.com',
-    nationality: 'Canada',
+    nationality: 'CA',
     nationalID: '8901234567',
-    countryFlag: 'https://flagcdn.com/ca.svg',
   },
   {
     fullName: 'Juan Hernandez',
     email: 'juan@yahoo.com',
-    nationality: 'Argentina',
+    nationality: 'AR',
     nationalID: '4343433333',
-    countryFlag: 'https://flagcdn.com/ar.svg',
   },
   {
     fullName: 'Ibrahim Ahmed',
     email: 'ibrahim@yahoo.com',
-    nationality: 'Nigeria',
+    nationality: 'NG',
     nationalID: '2345678009',
-    countryFlag: 'https://flagcdn.com/ng.svg',
   },
   {
     fullName: 'Mei Chen',
     email: 'mei@gmail.com',
-    nationality: 'Taiwan',
+    nationality: 'TW',
     nationalID: '3456117890',
-    countryFlag: 'https://flagcdn.com/tw.svg',
   },
 ];
@@ -7,5 +7,8 @@ export function useUser() {
     queryFn: getCurrentUser,
   });
 
-  return { user, userLoading, isAuthenticated: !!user };
+  // Roles are set in app_metadata, which users can't change themselves
+  const isAdmin = user?.app_metadata?.role === "admin";
+
+  return { user, userLoading, isAuthenticated: !!user, isAdmin };
 }
@@ -0,0 +1,91 @@
+import styled from "styled-components";
+
+import Button from "../../ui/Button";
+import ButtonText from "../../ui/ButtonText";
+import Modal from "../../ui/Modal";
+import ConfirmBulkAction from "./ConfirmBulkAction";
+import { useBookingIds } from "./useBookingIds";
+import { bulkActions } from "./useBulkUpdateBookings";
+
+const StyledBulkActions = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 1.2rem;
+  padding: 1.2rem 2.4rem;
+  font-size: 1.4rem;
+  background-color: var(--color-brand-50);
+  border-bottom: 1px solid var(--color-grey-100);
+
+  & > span {
+    font-weight: 500;
+  }
+
+  & > div {
+    display: flex;
+    gap: 0.8rem;
+    margin-left: auto;
+  }
+`;
+
+function BookingBulkActions({ bookings, count, selection }) {
+  const {
+    selectedIds,
+    isAllSelected,
+    excludedIds,
+    selectAll,
+    setSelected,
+    clear,
+  } = selection;
+  const { ids: allIds } = useBookingIds(isAllSelected);
+
+  const pageIds = bookings.map((booking) => booking.id);
+  const isPageSelected = pageIds.every((id) => selectedIds.includes(id));
+
+  if (!isAllSelected && !selectedIds.length) return null;
+
+  const ids = isAllSelected
+    ? allIds?.filter((id) => !excludedIds.includes(id))
+    : selectedIds;
+
+  return (
+    <StyledBulkActions>
+      <span>
+        {!isAllSelected
+          ? `${selectedIds.length} selected`
+          : excludedIds.length
+            ? `${count - excludedIds.length} of ${count} bookings selected`
+            : `All ${count} bookings selected`}
+      </span>
+
+      {!isAllSelected && isPageSelected && count > pageIds.length && (
+        <ButtonText onClick={selectAll}>Select all {count} bookings</ButtonText>
+      )}
+      <ButtonText onClick={clear}>Clear selection</ButtonText>
+
+      <Modal>
+        <div>
+          {Object.entries(bulkActions).map(([action, { label, variation }]) => (
+            <Modal.Open opens={action} key={action}>
+              <Button size="small" variation={variation ?? "secondary"}>
+                {label}
+              </Button>
+            </Modal.Open>
+          ))}
+        </div>
+
+        {Object.keys(bulkActions).map((action) => (
+          <Modal.Window name={action} key={action}>
+            {/* Failed bookings stay selected, so they can be looked at or tried again */}
+            <ConfirmBulkAction
+              action={action}
+              ids={ids}
+              onDone={(failedIds) => setSelected(failedIds)}
+            />
+          </Modal.Window>
+        ))}
+      </Modal>
+    </StyledBulkActions>
+  );
+}
+
+export default BookingBulkActions;
@@ -4,13 +4,26 @@ import {
   HiOutlineChatBubbleBottomCenterText,
   HiOutlineCheckCircle,
   HiOutlineCurrencyDollar,
+  HiOutlineExclamationTriangle,
   HiOutlineHomeModern,
+  HiOutlineSparkles,
+  HiOutlineXCircle,
 } from "react-icons/hi2";
 
+import { Link } from "react-router";
+
 import DataItem from "../../ui/DataItem";
+import GuestAlerts from "../guests/GuestAlerts";
+import GuestLoyaltyTag from "../guests/GuestLoyaltyTag";
 import { Flag } from "../../ui/Flag";
 
-import { formatDistanceFromNow, formatCurrency } from "../../utils/helpers";
+import {
+  formatDistanceFromNow,
+  formatCurrency,
+  calcBalance,
+  calcExtraPrice,
+  getBookingExtras,
+} from "../../utils/helpers";
 
 const StyledBookingDataBox = styled.section`
   /* Box */
@@ -55,6 +68,12 @@ const Section = styled.section`
   padding: 3.2rem 4rem 1.2rem;
 `;
 
+const Alerts = styled.div`
+  &:not(:empty) {
+    margin-bottom: 2.4rem;
+  }
+`;
+
 const Guest = styled.div`
   display: flex;
   align-items: center;
@@ -66,6 +85,10 @@ const Guest = styled.div`
     font-weight: 500;
     color: var(--color-grey-700);
   }
+
+  & a:hover {
+    color: var(--color-brand-600);
+  }
 `;
 
 const Price = styled.div`
@@ -94,6 +117,28 @@ const Price = styled.div`
   }
 `;
 
+const Payments = styled.ul`
+  margin-top: 1.6rem;
+  font-size: 1.4rem;
+
+  & li {
+    display: grid;
+    grid-template-columns: 12rem 1fr 12rem 12rem;
+    gap: 1.6rem;
+    padding: 0.8rem 0;
+    border-bottom: 1px solid var(--color-grey-100);
+  }
+
+  & li span:nth-child(n + 3) {
+    font-family: "Sono";
+    text-align: right;
+  }
+
+  & a {
+    color: var(--color-brand-600);
+  }
+`;
+
 const Footer = styled.footer`
   padding: 1.6rem 4rem;
   font-size: 1.2rem;
@@ -101,8 +146,8 @@ const Footer = styled.footer`
   text-align: right;
 `;
 
-// A purely presentational component
-function BookingDataBox({ booking }) {
+// A purely presentational component. payments and refunds are optional, without them only isPaid is shown. Pages that show the guest alerts more prominently can hide them here
+function BookingDataBox({ booking, payments, refunds, showGuestAlerts = true }) {
   const {
     created_at,
     startDate,
@@ -112,13 +157,33 @@ function BookingDataBox({ booking }) {
     cabinPrice,
     extrasPrice,
     totalPrice,
-    hasBreakfast,
     observations,
     isPaid,
-    guests: { fullName: guestName, email, country, countryFlag, nationalID },
+    status,
+    cancelledAt,
+    cancellationReason,
+    cancellationFee,
+    checkoutOverrideReason,
+    checkoutOverrideBy,
+    doNotRentOverrideReason,
+    doNotRentOverrideBy,
+    loyaltyDiscount,
+    loyaltyDiscountPercentage,
+    guestId,
+    guests: { fullName: guestName, email, nationality, nationalID },
     cabins: { name: cabinName },
   } = booking;
 
+  const extras = getBookingExtras(booking);
+  const { amountPaid, balance } = calcBalance(booking, { payments, refunds });
+  const isSettled = payments ? balance <= 0 : isPaid;
+
+  // Balance still due after each payment, in the order they were made. Refunds come later and lower the price and the amount paid alike
+  const balanceAfter = (i) =>
+    totalPrice +
+    (booking.refundedAmount ?? 0) -
+    payments.slice(0, i + 1).reduce((acc, payment) => acc + payment.amount, 0);
+
   return (
     <StyledBookingDataBox>
       <Header>
@@ -139,11 +204,19 @@ function BookingDataBox({ booking }) {
       </Header>
 
       <Section>
+        {showGuestAlerts && (
+          <Alerts>
+            <GuestAlerts guest={booking.guests} />
+          </Alerts>
+        )}
+
         <Guest>
-          {countryFlag && <Flag src={countryFlag} alt={`Flag of ${country}`} />}
+          <Flag country={nationality} />
           <p>
-            {guestName} {numGuests > 1 ? `+ ${numGuests - 1} guests` : ""}
+            <Link to={`/guests/${guestId}`}>{guestName}</Link>{" "}
+            {numGuests > 1 ? `+ ${numGuests - 1} guests` : ""}
           </p>
+          <GuestLoyaltyTag guestId={guestId} />
           <span>&bull;</span>
           <p>{email}</p>
           <span>&bull;</span>
@@ -159,22 +232,110 @@ function BookingDataBox({ booking }) {
           </DataItem>
         )}
 
-        <DataItem icon={<HiOutlineCheckCircle />} label="Breakfast included?">
-          {hasBreakfast ? "Yes" : "No"}
+        {cancelledAt && (
+          <DataItem
+            icon={<HiOutlineXCircle />}
+            label={status === "no-show" ? "No show" : "Cancelled"}
+          >
+            {format(new Date(cancelledAt), "MMM dd yyyy")}: {cancellationReason}{" "}
+            ({formatCurrency(cancellationFee ?? 0)} fee)
+          </DataItem>
+        )}
+
+        {doNotRentOverrideReason && (
+          <DataItem
+            icon={<HiOutlineExclamationTriangle />}
+            label="Booked despite do not rent"
+          >
+            {doNotRentOverrideReason} (by {doNotRentOverrideBy})
+          </DataItem>
+        )}
+
+        {checkoutOverrideReason && (
+          <DataItem
+            icon={<HiOutlineExclamationTriangle />}
+            label="Checked out with balance due"
+          >
+            {checkoutOverrideReason} (by {checkoutOverrideBy})
+          </DataItem>
+        )}
+
+        {loyaltyDiscount > 0 && (
+          <DataItem icon={<HiOutlineSparkles />} label="Loyalty discount">
+            {loyaltyDiscountPercentage}% off the stay (
+            {formatCurrency(loyaltyDiscount)})
+          </DataItem>
+        )}
+
+        <DataItem icon={<HiOutlineCheckCircle />} label="Extras">
+          {extras.length
+            ? extras
+                .map(
+                  (extra) =>
+                    `${extra.name} (${formatCurrency(
+                      calcExtraPrice(extra, { numNights, numGuests })
+                    )})`
+                )
+                .join(", ")
+            : "None"}
         </DataItem>
 
-        <Price isPaid={isPaid}>
+        <Price isPaid={isSettled}>
           <DataItem icon={<HiOutlineCurrencyDollar />} label={`Total price`}>
             {formatCurrency(totalPrice)}
 
-            {hasBreakfast &&
+            {extrasPrice > 0 &&
               ` (${formatCurrency(cabinPrice)} cabin + ${formatCurrency(
                 extrasPrice
-              )} breakfast)`}
+              )} extras)`}
           </DataItem>
 
-          <p>{isPaid ? "Paid" : "Will pay at property"}</p>
+          <p>
+            {isSettled
+              ? "Paid"
+              : payments && amountPaid > 0
+                ? `${formatCurrency(balance)} due`
+                : "Will pay at property"}
+          </p>
         </Price>
+
+        {payments?.length > 0 && (
+          <Payments>
+            {payments.map((payment, i) => (
+              <li key={payment.id}>
+                <span>{format(new Date(payment.paidAt), "MMM dd yyyy")}</span>
+                <span>
+                  {payment.method}
+                  {payment.reference && ` (${payment.reference})`} by{" "}
+                  {payment.recordedByName}
+                </span>
+                <span>{formatCurrency(payment.amount)}</span>
+                <span>{formatCurrency(balanceAfter(i))} due</span>
+              </li>
+            ))}
+          </Payments>
+        )}
+
+        {refunds?.length > 0 && (
+          <Payments>
+            {refunds.map((refund) => (
+              <li key={refund.id}>
+                <span>
+                  {format(new Date(refund.refundedAt), "MMM dd yyyy")}
+                </span>
+                <span>
+                  Refund{" "}
+                  <Link to={`/credit-notes/${refund.id}`}>
+                    {refund.creditNoteNumber}
+                  </Link>{" "}
+                  ({refund.reason}) by {refund.recordedByName}
+                </span>
+                <span>{formatCurrency(-refund.amount)}</span>
+                <span></span>
+              </li>
+            ))}
+          </Payments>
+        )}
       </Section>
 
       <Footer>
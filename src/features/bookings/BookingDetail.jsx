@@ -13,11 +13,35 @@ import { useBooking } from "./useBooking";
 import Spinner from "../../ui/Spinner";
 import { useNavigate } from "react-router";
 import { HiArrowUpOnSquare } from "react-icons/hi2";
-import { useCheckOut } from "../check-in-out/useCheckOut";
 import { useDeleteBooking } from "./useDeleteBooking";
 import Modal from "../../ui/Modal";
 import ConfirmDelete from "../../ui/ConfirmDelete";
 import Empty from "../../ui/Empty";
+import CreateBookingForm from "./CreateBookingForm";
+import CancelBookingForm from "./CancelBookingForm";
+import BookingHistory from "./BookingHistory";
+import BookingSignature from "./BookingSignature";
+import CreatePaymentForm from "../payments/CreatePaymentForm";
+import CreateRefundForm from "../payments/CreateRefundForm";
+import { usePayments } from "../payments/usePayments";
+import { useRefunds } from "../payments/useRefunds";
+import { useDownloadInvoice } from "../invoices/useDownloadInvoice";
+import { calcBalance } from "../../utils/helpers";
+import { statusToTagName } from "../../utils/constants";
+import { canDelete, canTransition } from "../../utils/bookingLifecycle";
+import UndoStatusButton from "../check-in-out/UndoStatusButton";
+
+const SignatureBox = styled.section`
+  /* Box */
+  background-color: var(--color-grey-0);
+  border: 1px solid var(--color-grey-100);
+  border-radius: var(--border-radius-md);
+  padding: 2.4rem 4rem;
+
+  display: flex;
+  flex-direction: column;
+  gap: 1.6rem;
+`;
 
 const HeadingGroup = styled.div`
   display: flex;
@@ -30,19 +54,17 @@ function BookingDetail() {
   const navigate = useNavigate();
 
   const { booking, isPending } = useBooking();
-  const { checkout, isCheckingOut } = useCheckOut();
   const { deleteBooking, isDeletingBooking } = useDeleteBooking();
+  const { payments, isPending: isLoadingPayments } = usePayments(booking?.id);
+  const { refunds, isPending: isLoadingRefunds } = useRefunds(booking?.id);
+  const { downloadInvoice, isDownloading } = useDownloadInvoice();
 
   if (isPending) return <Spinner />;
   if (!booking) return <Empty resource={"Booking"} />;
+  if (isLoadingPayments || isLoadingRefunds) return <Spinner />;
 
   const { status, id } = booking;
-
-  const statusToTagName = {
-    unconfirmed: "blue",
-    "checked-in": "green",
-    "checked-out": "silver",
-  };
+  const { amountPaid, balance } = calcBalance(booking, { payments, refunds });
 
   return (
     <>
@@ -54,30 +76,94 @@ function BookingDetail() {
         <ButtonText onClick={moveBack}>&larr; Back</ButtonText>
       </Row>
 
-      <BookingDataBox booking={booking} />
+      <BookingDataBox booking={booking} payments={payments} refunds={refunds} />
+
+      {booking.signaturePath && (
+        <SignatureBox>
+          <Heading as="h2">House rules accepted</Heading>
+          <BookingSignature booking={booking} />
+        </SignatureBox>
+      )}
+      <BookingHistory bookingId={id} />
 
       <ButtonGroup>
-        {status === "unconfirmed" && (
+        {canTransition(status, "checked-in") && (
           <Button onClick={() => navigate(`/checkin/${id}`)}>Check in</Button>
         )}
 
-        {status === "checked-in" && (
+        {canTransition(status, "checked-out") && (
           <Button
             icon={<HiArrowUpOnSquare />}
-            onClick={() => {
-              checkout(id);
-            }}
-            disabled={isCheckingOut}
+            onClick={() => navigate(`/checkout/${id}`)}
           >
             Check out
           </Button>
         )}
+        <UndoStatusButton booking={booking} />
+
+        <Button
+          variation="secondary"
+          onClick={() => navigate(`/registration-cards/${id}`)}
+        >
+          Registration card
+        </Button>
+
+        <Button
+          variation="secondary"
+          onClick={() => downloadInvoice(id)}
+          disabled={isDownloading}
+        >
+          Download invoice
+        </Button>
+
         <Modal>
-          <Modal.Open opens="delete">
-            <Button variation="danger" onClick={() => {}}>
-              Delete
-            </Button>
-          </Modal.Open>
+          {(status === "unconfirmed" || status === "checked-in") && (
+            <Modal.Open opens="edit">
+              <Button variation="secondary">Edit</Button>
+            </Modal.Open>
+          )}
+
+          {balance > 0 && status !== "cancelled" && (
+            <Modal.Open opens="payment">
+              <Button variation="secondary">Record payment</Button>
+            </Modal.Open>
+          )}
+
+          <Modal.Window name="payment">
+            <CreatePaymentForm bookingId={id} balance={balance} />
+          </Modal.Window>
+
+          {amountPaid > 0 && (
+            <Modal.Open opens="refund">
+              <Button variation="secondary">Refund</Button>
+            </Modal.Open>
+          )}
+
+          <Modal.Window name="refund">
+            <CreateRefundForm booking={booking} amountPaid={amountPaid} />
+          </Modal.Window>
+
+          <Modal.Window name="edit">
+            <CreateBookingForm bookingToEdit={booking} />
+          </Modal.Window>
+
+          {canTransition(status, "cancelled") && (
+            <Modal.Open opens="cancel">
+              <Button variation="secondary">Cancel booking</Button>
+            </Modal.Open>
+          )}
+
+          <Modal.Window name="cancel">
+            <CancelBookingForm booking={booking} />
+          </Modal.Window>
+
+          {canDelete(status) && (
+            <Modal.Open opens="delete">
+              <Button variation="danger" onClick={() => {}}>
+                Delete
+              </Button>
+            </Modal.Open>
+          )}
 
           <Modal.Window name={"delete"}>
             <ConfirmDelete
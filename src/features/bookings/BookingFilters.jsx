@@ -0,0 +1,48 @@
+import FilterPanel from "../../ui/FilterPanel";
+import { useCabin } from "../cabins/useCabin";
+
+const yesNo = [
+  { value: "true", label: "Yes" },
+  { value: "false", label: "No" },
+];
+
+function BookingFilters() {
+  const { cabins = [] } = useCabin();
+
+  return (
+    <FilterPanel
+      fields={[
+        {
+          field: "startDate",
+          method: "gte",
+          label: "Arriving from",
+          type: "date",
+        },
+        {
+          field: "startDate",
+          method: "lte",
+          label: "Arriving until",
+          type: "date",
+        },
+        {
+          field: "cabinId",
+          method: "eq",
+          label: "Cabin",
+          options: cabins.map((cabin) => ({
+            value: cabin.id,
+            label: cabin.name,
+          })),
+        },
+        { field: "isPaid", method: "eq", label: "Paid", options: yesNo },
+        {
+          field: "hasBreakfast",
+          method: "eq",
+          label: "Breakfast",
+          options: yesNo,
+        },
+      ]}
+    />
+  );
+}
+
+export default BookingFilters;
@@ -0,0 +1,88 @@
+import styled from "styled-components";
+import { format } from "date-fns";
+
+import Heading from "../../ui/Heading";
+import Tag from "../../ui/Tag";
+import SpinnerMini from "../../ui/SpinnerMini";
+import { useBookingHistory } from "./useBookingHistory";
+import { statusToTagName } from "../../utils/constants";
+import { formatStatus } from "../../utils/bookingLifecycle";
+
+const StyledBookingHistory = styled.section`
+  background-color: var(--color-grey-0);
+  border: 1px solid var(--color-grey-100);
+  border-radius: var(--border-radius-md);
+  padding: 2.4rem 4rem;
+  display: flex;
+  flex-direction: column;
+  gap: 1.6rem;
+`;
+
+const Timeline = styled.ol`
+  display: flex;
+  flex-direction: column;
+  gap: 1.6rem;
+  border-left: 2px solid var(--color-grey-200);
+  margin-left: 0.6rem;
+`;
+
+const Event = styled.li`
+  position: relative;
+  display: flex;
+  align-items: center;
+  gap: 1.2rem;
+  padding-left: 2.4rem;
+  font-size: 1.4rem;
+
+  &::before {
+    content: "";
+    position: absolute;
+    left: -0.7rem;
+    width: 1.2rem;
+    height: 1.2rem;
+    border-radius: 50%;
+    background-color: var(--color-brand-600);
+  }
+
+  & time {
+    font-family: "Sono";
+    color: var(--color-grey-500);
+  }
+`;
+
+function BookingHistory({ bookingId }) {
+  const { isPending, history } = useBookingHistory(bookingId);
+
+  return (
+    <StyledBookingHistory>
+      <Heading as="h3">History</Heading>
+
+      {isPending ? (
+        <SpinnerMini />
+      ) : !history?.length ? (
+        <p>No status changes recorded yet.</p>
+      ) : (
+        <Timeline>
+          {history.map((event) => (
+            <Event key={event.id}>
+              <time dateTime={event.created_at}>
+                {format(new Date(event.created_at), "MMM dd yyyy, p")}
+              </time>
+              <Tag type={statusToTagName[event.toStatus]}>
+                {formatStatus(event.toStatus)}
+              </Tag>
+              <span>
+                {event.fromStatus
+                  ? `from ${formatStatus(event.fromStatus)}`
+                  : "booking created"}{" "}
+                by {event.actorName ?? "unknown"}
+              </span>
+            </Event>
+          ))}
+        </Timeline>
+      )}
+    </StyledBookingHistory>
+  );
+}
+
+export default BookingHistory;
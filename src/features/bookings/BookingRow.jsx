@@ -5,14 +5,21 @@ import Tag from "../../ui/Tag";
 import Table from "../../ui/Table";
 import { formatCurrency } from "../../utils/helpers";
 import { formatDistanceFromNow } from "../../utils/helpers";
+import { statusToTagName } from "../../utils/constants";
+import { canDelete, canTransition } from "../../utils/bookingLifecycle";
 import Menus from "../../ui/Menus";
-import { HiArrowDownOnSquare, HiArrowUpOnSquare, HiEye } from "react-icons/hi2";
+import {
+  HiArrowDownOnSquare,
+  HiArrowUpOnSquare,
+  HiEye,
+  HiOutlineXCircle,
+} from "react-icons/hi2";
 import { useNavigate } from "react-router";
 import { HiTrash } from "react-icons/hi";
 import Modal from "../../ui/Modal";
 import ConfirmDelete from "../../ui/ConfirmDelete";
+import CancelBookingForm from "./CancelBookingForm";
 
-import { useCheckOut } from "../check-in-out/useCheckOut";
 import { useDeleteBooking } from "./useDeleteBooking";
 
 const Cabin = styled.div`
@@ -43,6 +50,7 @@ const Amount = styled.div`
 `;
 
 function BookingRow({
+  booking,
   booking: {
     id: bookingId,
     // created_at,
@@ -56,18 +64,11 @@ function BookingRow({
     cabins: { name: cabinName },
   },
 }) {
-  const statusToTagName = {
-    unconfirmed: "blue",
-    "checked-in": "green",
-    "checked-out": "silver",
-  };
-
-  const { checkout, isCheckingOut } = useCheckOut();
   const { deleteBooking, isDeletingBooking } = useDeleteBooking();
   const navigate = useNavigate();
 
   return (
-    <Table.Row>
+    <Table.Row id={bookingId}>
       <Cabin>{cabinName}</Cabin>
 
       <Stacked>
@@ -103,11 +104,13 @@ function BookingRow({
               See Details
             </Menus.Button>
 
-            <Modal.Open opens="delete">
-              <Menus.Button icon={<HiTrash />}>Delete</Menus.Button>
-            </Modal.Open>
+            {canDelete(status) && (
+              <Modal.Open opens="delete">
+                <Menus.Button icon={<HiTrash />}>Delete</Menus.Button>
+              </Modal.Open>
+            )}
 
-            {status === "unconfirmed" && (
+            {canTransition(status, "checked-in") && (
               <Menus.Button
                 icon={<HiArrowDownOnSquare />}
                 onClick={() => navigate(`/checkin/${bookingId}`)}
@@ -116,19 +119,28 @@ function BookingRow({
               </Menus.Button>
             )}
 
-            {status === "checked-in" && (
+            {canTransition(status, "checked-out") && (
               <Menus.Button
                 icon={<HiArrowUpOnSquare />}
-                onClick={() => {
-                  checkout(bookingId);
-                }}
-                disabled={isCheckingOut}
+                onClick={() => navigate(`/checkout/${bookingId}`)}
               >
                 Check out
               </Menus.Button>
             )}
+
+            {canTransition(status, "cancelled") && (
+              <Modal.Open opens="cancel">
+                <Menus.Button icon={<HiOutlineXCircle />}>
+                  Cancel booking
+                </Menus.Button>
+              </Modal.Open>
+            )}
           </Menus.List>
 
+          <Modal.Window name="cancel">
+            <CancelBookingForm booking={booking} />
+          </Modal.Window>
+
           <Modal.Window name={"delete"}>
             <ConfirmDelete
               resourceName={`Booking #${bookingId}`}
@@ -0,0 +1,52 @@
+import styled from "styled-components";
+import { format } from "date-fns";
+
+import SpinnerMini from "../../ui/SpinnerMini";
+import { useSignatureUrl } from "./useSignatureUrl";
+
+const StyledBookingSignature = styled.figure`
+  display: flex;
+  flex-direction: column;
+  gap: 0.8rem;
+
+  & img {
+    max-width: 30rem;
+    border-bottom: 1px solid var(--color-grey-300);
+  }
+
+  & figcaption {
+    font-size: 1.2rem;
+    color: var(--color-grey-500);
+  }
+`;
+
+const SignatureLine = styled.div`
+  width: 30rem;
+  height: 10rem;
+  border-bottom: 1px solid var(--color-grey-300);
+`;
+
+// The guest's signature from check in, with an empty line to sign on paper when there is none
+function BookingSignature({ booking }) {
+  const { signaturePath, signedAt, guests } = booking;
+  const { signatureUrl, isPending } = useSignatureUrl(signaturePath);
+
+  if (signaturePath && isPending) return <SpinnerMini />;
+
+  return (
+    <StyledBookingSignature>
+      {signatureUrl ? (
+        <img src={signatureUrl} alt={`Signature of ${guests.fullName}`} />
+      ) : (
+        <SignatureLine />
+      )}
+      <figcaption>
+        {guests.fullName}
+        {signedAt &&
+          `, signed on ${format(new Date(signedAt), "MMM dd yyyy, HH:mm")}`}
+      </figcaption>
+    </StyledBookingSignature>
+  );
+}
+
+export default BookingSignature;
@@ -5,17 +5,24 @@ import Empty from "../../ui/Empty";
 import { useBookings } from "./useBookings";
 import Spinner from "../../ui/Spinner";
 import Pagination from "../../ui/Pagination";
+import BookingBulkActions from "./BookingBulkActions";
+import { useSearchParams } from "react-router";
+import { useSelection } from "../../hooks/useSelection";
+import { getViewQuery } from "../../utils/helpers";
 
 function BookingTable() {
   const { bookings, count, bookingsLoading } = useBookings();
+  const [searchParams] = useSearchParams();
+  // Changing the filters, search or sort starts a new selection, changing page does not
+  const selection = useSelection(getViewQuery(searchParams));
 
   if (bookingsLoading) return <Spinner />;
   if (!bookings.length) return <Empty resource={"bookings"} />;
 
   return (
     <Menus>
-      <Table columns="0.6fr 2fr 2.4fr 1.4fr 1fr 3.2rem">
-        <Table.Header>
+      <Table columns="0.6fr 2fr 2.4fr 1.4fr 1fr 3.2rem" selection={selection}>
+        <Table.Header ids={bookings.map((booking) => booking.id)}>
           <div>Cabin</div>
           <div>Guest</div>
           <div>Dates</div>
@@ -24,6 +31,12 @@ function BookingTable() {
           <div></div>
         </Table.Header>
 
+        <BookingBulkActions
+          bookings={bookings}
+          count={count}
+          selection={selection}
+        />
+
         <Table.Body
           data={bookings}
           render={(booking) => (
@@ -1,10 +1,17 @@
 import SortBy from "../../ui/SortBy";
 import Filter from "../../ui/Filter";
 import TableOperations from "../../ui/TableOperations";
+import Search from "../../ui/Search";
+import Button from "../../ui/Button";
+import Modal from "../../ui/Modal";
+import SaveViewForm from "./SaveViewForm";
+import ExportBookings from "./ExportBookings";
 
 function BookingTableOperations() {
   return (
     <TableOperations>
+      <Search placeholder="Search guest, email, cabin or #id" />
+
       <Filter
         filterField="status"
         options={[
@@ -12,6 +19,8 @@ function BookingTableOperations() {
           { value: "checked-out", label: "Checked out" },
           { value: "checked-in", label: "Checked in" },
           { value: "unconfirmed", label: "Unconfirmed" },
+          { value: "cancelled", label: "Cancelled" },
+          { value: "no-show", label: "No show" },
         ]}
       />
 
@@ -26,6 +35,26 @@ function BookingTableOperations() {
           { value: "totalPrice-asc", label: "Sort by amount (low first)" },
         ]}
       />
+
+      <Modal>
+        <Modal.Open opens="save-view">
+          <Button variation="secondary" size="small">
+            Save view
+          </Button>
+        </Modal.Open>
+        <Modal.Window name="save-view">
+          <SaveViewForm />
+        </Modal.Window>
+
+        <Modal.Open opens="export">
+          <Button variation="secondary" size="small">
+            Export
+          </Button>
+        </Modal.Open>
+        <Modal.Window name="export">
+          <ExportBookings />
+        </Modal.Window>
+      </Modal>
     </TableOperations>
   );
 }
@@ -0,0 +1,97 @@
+import { useState } from "react";
+import { isFuture, parseISO } from "date-fns";
+
+import Button from "../../ui/Button";
+import Form from "../../ui/Form";
+import FormRow from "../../ui/FormRow";
+import Select from "../../ui/Select";
+import Spinner from "../../ui/Spinner";
+import Textarea from "../../ui/Textarea";
+
+import { useSettings } from "../settings/useSetting";
+import { useCancelBooking } from "./useCancelBooking";
+import { calcCancellationFee, formatCurrency } from "../../utils/helpers";
+
+function CancelBookingForm({ booking, onClose }) {
+  const [status, setStatus] = useState("cancelled");
+  const [cancellationReason, setCancellationReason] = useState("");
+
+  const { settings, isPending } = useSettings();
+  const { cancelBooking, isCancelling } = useCancelBooking();
+
+  if (isPending) return <Spinner />;
+
+  // A guest can only fail to show up once the stay has started
+  const canBeNoShow = !isFuture(parseISO(booking.startDate));
+  const cancellationFee = calcCancellationFee({ booking, status, settings });
+
+  function handleSubmit(event) {
+    event.preventDefault();
+    if (!cancellationReason) return;
+
+    cancelBooking(
+      { id: booking.id, status, cancellationReason, cancellationFee },
+      { onSuccess: () => onClose?.() },
+    );
+  }
+
+  return (
+    <Form type={onClose ? "modal" : "reguler"} onSubmit={handleSubmit}>
+      <FormRow label="Booking">
+        <span>
+          #{booking.id} {booking.guests.fullName}
+        </span>
+      </FormRow>
+
+      <FormRow label="What happened">
+        <Select
+          id="status"
+          value={status}
+          onChange={(event) => setStatus(event.target.value)}
+          disabled={isCancelling}
+          options={[
+            { value: "cancelled", label: "Guest cancelled" },
+            ...(canBeNoShow
+              ? [{ value: "no-show", label: "Guest did not show up" }]
+              : []),
+          ]}
+        />
+      </FormRow>
+
+      <FormRow label="Reason">
+        <Textarea
+          id="cancellationReason"
+          value={cancellationReason}
+          onChange={(event) => setCancellationReason(event.target.value)}
+          disabled={isCancelling}
+        />
+      </FormRow>
+
+      <FormRow label="Cancellation fee">
+        <span id="cancellationFee">
+          {formatCurrency(cancellationFee)} of{" "}
+          {formatCurrency(booking.totalPrice)}
+        </span>
+      </FormRow>
+
+      <FormRow>
+        <Button
+          onClick={() => onClose?.()}
+          variation="secondary"
+          type="reset"
+          disabled={isCancelling}
+        >
+          Back
+        </Button>
+        <Button
+          variation="danger"
+          disabled={isCancelling || !cancellationReason}
+        >
+          {status === "no-show" ? "Mark as no show" : "Cancel booking"}
+        </Button>
+      </FormRow>
+    </Form>
+  );
+}
+
+export default CancelBookingForm;
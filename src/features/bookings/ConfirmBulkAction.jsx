@@ -0,0 +1,127 @@
+import { useState } from "react";
+import styled from "styled-components";
+
+import Button from "../../ui/Button";
+import Heading from "../../ui/Heading";
+import Textarea from "../../ui/Textarea";
+import { bulkActions, useBulkUpdateBookings } from "./useBulkUpdateBookings";
+
+const StyledConfirmBulkAction = styled.div`
+  width: 48rem;
+  display: flex;
+  flex-direction: column;
+  gap: 1.2rem;
+
+  & p {
+    color: var(--color-grey-500);
+  }
+
+  & > div {
+    display: flex;
+    justify-content: flex-end;
+    gap: 1.2rem;
+    margin-top: 1.2rem;
+  }
+`;
+
+const Ids = styled.ul`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.4rem 1.2rem;
+  max-height: 16rem;
+  overflow-y: auto;
+  font-family: "Sono";
+  font-size: 1.4rem;
+`;
+
+const Failed = styled.ul`
+  max-height: 16rem;
+  overflow-y: auto;
+  font-size: 1.4rem;
+  color: var(--color-red-700);
+`;
+
+function ConfirmBulkAction({ action, ids, onDone, onClose }) {
+  const { bulkUpdate, isUpdating } = useBulkUpdateBookings();
+  const [result, setResult] = useState(null);
+  const [reason, setReason] = useState("");
+  const { label, variation, needsReason } = bulkActions[action];
+
+  if (result)
+    return (
+      <StyledConfirmBulkAction>
+        <Heading as="h3">{label}</Heading>
+        <p>
+          {result.succeeded} of {result.succeeded + result.failed.length}{" "}
+          bookings were updated.
+        </p>
+        {result.failed.length > 0 && (
+          <Failed>
+            {result.failed.map(({ id, reason }) => (
+              <li key={id}>
+                Booking #{id} {reason}
+              </li>
+            ))}
+          </Failed>
+        )}
+
+        <div>
+          <Button onClick={onClose}>Close</Button>
+        </div>
+      </StyledConfirmBulkAction>
+    );
+
+  return (
+    <StyledConfirmBulkAction>
+      <Heading as="h3">
+        {label} {ids?.length ?? ""} bookings
+      </Heading>
+      <p>
+        {ids
+          ? "This will be done on the following bookings. Bookings where it is not possible will be skipped."
+          : "Loading the selected bookings..."}
+        {action === "delete" && " This action cannot be undone."}
+      </p>
+      {ids && (
+        <Ids>
+          {ids.map((id) => (
+            <li key={id}>#{id}</li>
+          ))}
+        </Ids>
+      )}
+      {needsReason && (
+        <Textarea
+          placeholder="Reason"
+          value={reason}
+          onChange={(event) => setReason(event.target.value)}
+          disabled={isUpdating}
+        />
+      )}
+
+      <div>
+        <Button variation="secondary" disabled={isUpdating} onClick={onClose}>
+          Cancel
+        </Button>
+        <Button
+          variation={variation}
+          disabled={isUpdating || !ids?.length || (needsReason && !reason)}
+          onClick={() =>
+            bulkUpdate(
+              { action, ids, reason },
+              {
+                onSuccess: (data) => {
+                  setResult(data);
+                  onDone?.(data.failed.map((failure) => failure.id));
+                },
+              },
+            )
+          }
+        >
+          {label}
+        </Button>
+      </div>
+    </StyledConfirmBulkAction>
+  );
+}
+
+export default ConfirmBulkAction;
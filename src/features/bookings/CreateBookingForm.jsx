@@ -0,0 +1,617 @@
+import { Fragment } from "react";
+import styled from "styled-components";
+import { useForm, useWatch } from "react-hook-form";
+
+import Input from "../../ui/Input";
+import Form from "../../ui/Form";
+import Button from "../../ui/Button";
+import Select from "../../ui/Select";
+import Checkbox from "../../ui/Checkbox";
+import Textarea from "../../ui/Textarea";
+import FormRow from "../../ui/FormRow";
+import Spinner from "../../ui/Spinner";
+import CountryPicker from "../../ui/CountryPicker";
+import GuestAlerts from "../guests/GuestAlerts";
+import LoyaltyTag from "../guests/LoyaltyTag";
+
+import { useCabin } from "../cabins/useCabin";
+import { useGuests } from "../guests/useGuests";
+import { useGuestBookings } from "../guests/useGuestBookings";
+import { useSettings } from "../settings/useSetting";
+import { useExtras } from "../extras/useExtras";
+import { useUser } from "../authentication/useUser";
+import { useCreateBooking } from "./useCreateBooking";
+import { useEditBooking } from "./useEditBooking";
+import { useCabinAvailability } from "./useCabinAvailability";
+import {
+  EXTRA_PRICING,
+  LOYALTY_TIERS,
+  PAYMENT_METHODS,
+} from "../../utils/constants";
+import { toCountryCode } from "../../utils/countries";
+import {
+  calcBookingPrices,
+  formatCurrency,
+  getBookingExtras,
+  getLoyaltyTier,
+  includesBreakfast,
+  subtractDates,
+  toBookingExtras,
+} from "../../utils/helpers";
+
+const Availability = styled.span`
+  font-weight: 500;
+  color: ${(props) =>
+    props.available ? "var(--color-green-700)" : "var(--color-red-700)"};
+`;
+
+const Summary = styled.p`
+  font-family: "Sono";
+  font-weight: 500;
+`;
+
+const ExtrasList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.8rem;
+`;
+
+const PriceDiff = styled.div`
+  display: grid;
+  grid-template-columns: auto 1fr 1fr 1fr;
+  column-gap: 1.6rem;
+  row-gap: 0.4rem;
+  font-family: "Sono";
+
+  & span:nth-child(4n + 1) {
+    font-family: "Poppins", sans-serif;
+    font-weight: 500;
+  }
+`;
+
+const Difference = styled.span`
+  color: ${(props) =>
+    props.value > 0
+      ? "var(--color-green-700)"
+      : props.value < 0
+        ? "var(--color-red-700)"
+        : "var(--color-grey-500)"};
+`;
+
+const priceLabels = {
+  cabinPrice: "Cabin",
+  extrasPrice: "Extras",
+  loyaltyDiscount: "Loyalty discount",
+  totalPrice: "Total",
+};
+
+function formatDifference(value) {
+  return `${value > 0 ? "+" : ""}${formatCurrency(value)}`;
+}
+
+// Extras of older bookings may have no id anymore, so they are told apart by name
+function extraKey(extra) {
+  return String(extra.id ?? extra.name);
+}
+
+function CreateBookingForm({ bookingToEdit = {}, onClose }) {
+  const { id: editId } = bookingToEdit;
+  const isEditSession = Boolean(editId);
+  const bookedExtras = isEditSession ? getBookingExtras(bookingToEdit) : [];
+
+  const { register, handleSubmit, reset, control, setValue, formState } =
+    useForm({
+      defaultValues: isEditSession
+        ? {
+            guestId: bookingToEdit.guestId,
+            cabinId: bookingToEdit.cabinId,
+            startDate: bookingToEdit.startDate.slice(0, 10),
+            endDate: bookingToEdit.endDate.slice(0, 10),
+            numGuests: bookingToEdit.numGuests,
+            extraKeys: bookedExtras.map(extraKey),
+            observations: bookingToEdit.observations,
+          }
+        : {
+            guestId: "",
+            cabinId: "",
+            numGuests: 1,
+            extraKeys: [],
+            deposit: 0,
+            depositMethod: "cash",
+            observations: "",
+          },
+    });
+  const { errors } = formState;
+
+  const { cabins, isPending: isLoadingCabins } = useCabin();
+  const { guests, isPending: isLoadingGuests } = useGuests();
+  const { settings, isPending: isLoadingSettings } = useSettings();
+  const { extras, isPending: isLoadingExtras } = useExtras();
+  const { isAdmin } = useUser();
+  const { createBooking, isCreating } = useCreateBooking();
+  const { editBooking, isEditing } = useEditBooking();
+
+  const isWorking = isCreating || isEditing;
+
+  const [
+    guestId,
+    cabinId,
+    startDate,
+    endDate,
+    numGuests,
+    extraKeys,
+    deposit,
+    nationality,
+  ] = useWatch({
+    control,
+    name: [
+      "guestId",
+      "cabinId",
+      "startDate",
+      "endDate",
+      "numGuests",
+      "extraKeys",
+      "deposit",
+      "nationality",
+    ],
+  });
+
+  // The stay history of the chosen guest decides their loyalty tier
+  const historyGuestId = !isEditSession && guestId !== "new" ? guestId : null;
+  const { bookings: guestBookings, isPending: isLoadingHistory } =
+    useGuestBookings(historyGuestId);
+  const isLoadingLoyalty = Boolean(historyGuestId) && isLoadingHistory;
+
+  const { isChecking, isAvailable, overlapping } = useCabinAvailability({
+    cabinId,
+    startDate,
+    endDate,
+    excludeId: editId,
+  });
+
+  if (
+    isLoadingCabins ||
+    isLoadingGuests ||
+    isLoadingSettings ||
+    isLoadingExtras
+  )
+    return <Spinner />;
+
+  const isNewGuest = guestId === "new";
+  const selectedGuest = guests.find((guest) => guest.id === Number(guestId));
+  // Only admins can book a do-not-rent guest, and they have to say why
+  const isDoNotRent = !isEditSession && Boolean(selectedGuest?.isDoNotRent);
+  const isBlocked = isDoNotRent && !isAdmin;
+  const cabin = cabins.find((cabin) => cabin.id === Number(cabinId));
+
+  // New bookings get the discount of the tier the guest has reached, edited bookings keep the one they were made with
+  const loyaltyTier = isEditSession
+    ? (LOYALTY_TIERS.find((tier) => tier.value === bookingToEdit.loyaltyTier) ??
+      null)
+    : getLoyaltyTier(guestBookings);
+  const loyaltyDiscountPercentage = isEditSession
+    ? (bookingToEdit.loyaltyDiscountPercentage ?? 0)
+    : (settings[loyaltyTier?.discountSetting] ?? 0);
+  const hasDates = startDate && endDate && startDate < endDate;
+
+  // Extras already on the booking keep the price they were booked at, hidden catalog extras can't be added anymore
+  const extraOptions = [
+    ...bookedExtras,
+    ...extras.filter(
+      (extra) =>
+        extra.isActive &&
+        !bookedExtras.some(
+          (booked) => booked.id === extra.id || booked.name === extra.name,
+        ),
+    ),
+  ];
+  const selectedExtras = extraOptions.filter((extra) =>
+    extraKeys.includes(extraKey(extra)),
+  );
+
+  const prices =
+    cabin && hasDates
+      ? calcBookingPrices({
+          startDate,
+          endDate,
+          cabin,
+          numGuests: Number(numGuests),
+          extras: selectedExtras,
+          loyaltyDiscountPercentage,
+          chargesPrice: bookingToEdit.chargesPrice ?? 0,
+          refundedAmount: bookingToEdit.refundedAmount ?? 0,
+        })
+      : null;
+
+  const maxGuests = Math.min(
+    settings.maxGuestPerBooking,
+    cabin?.maxCapacity ?? settings.maxGuestPerBooking,
+  );
+
+  function onSubmit(data) {
+    if (!isAvailable || isBlocked || isLoadingLoyalty) return;
+
+    const bookingData = {
+      cabinId: Number(data.cabinId),
+      startDate: data.startDate,
+      endDate: data.endDate,
+      numGuests: Number(data.numGuests),
+      extras: toBookingExtras(selectedExtras),
+      hasBreakfast: includesBreakfast(selectedExtras),
+      observations: data.observations,
+      ...prices,
+    };
+
+    if (isEditSession) {
+      editBooking(
+        { newBookingData: bookingData, id: editId },
+        { onSuccess: () => onClose?.() },
+      );
+      return;
+    }
+
+    const newGuest = isNewGuest
+      ? {
+          fullName: data.fullName,
+          email: data.email,
+          nationality: toCountryCode(data.nationality),
+          nationalID: data.nationalID,
+        }
+      : null;
+
+    const depositAmount = Number(data.deposit);
+
+    createBooking(
+      {
+        newBooking: {
+          ...bookingData,
+          guestId: isNewGuest ? null : Number(data.guestId),
+          status: "unconfirmed",
+          isPaid: depositAmount >= prices.totalPrice,
+          loyaltyTier: loyaltyTier?.value ?? null,
+          loyaltyDiscountPercentage,
+          ...(isDoNotRent && {
+            doNotRentOverrideReason: data.doNotRentOverrideReason,
+          }),
+        },
+        newGuest,
+        deposit:
+          depositAmount > 0
+            ? {
+                amount: depositAmount,
+                method: data.depositMethod,
+                paidAt: new Date().toISOString().slice(0, 10),
+                reference: "Deposit",
+              }
+            : null,
+      },
+      {
+        onSuccess: () => {
+          reset();
+          onClose?.();
+        },
+      },
+    );
+  }
+
+  return (
+    <Form
+      onSubmit={handleSubmit(onSubmit)}
+      type={onClose ? "modal" : "reguler"}
+    >
+      {isEditSession ? (
+        <FormRow label="Guest">
+          <Input
+            type="text"
+            id="guestName"
+            value={bookingToEdit.guests.fullName}
+            disabled
+          />
+        </FormRow>
+      ) : (
+        <FormRow label="Guest" error={errors?.guestId?.message}>
+          <Select
+            id="guestId"
+            disabled={isWorking}
+            options={[
+              { value: "", label: "Select a guest" },
+              { value: "new", label: "+ New guest" },
+              ...guests.map((guest) => ({
+                value: guest.id,
+                label: `${guest.fullName} (${guest.email})${
+                  guest.isDoNotRent ? " - do not rent" : ""
+                }`,
+              })),
+            ]}
+            {...register("guestId", { required: "Please select a guest" })}
+          />
+        </FormRow>
+      )}
+
+      {!isEditSession && selectedGuest && <GuestAlerts guest={selectedGuest} />}
+
+      {loyaltyTier && (
+        <FormRow label="Loyalty">
+          <Summary>
+            <LoyaltyTag tier={loyaltyTier.value} /> {loyaltyDiscountPercentage}%
+            discount on the stay
+          </Summary>
+        </FormRow>
+      )}
+
+      {isDoNotRent && isAdmin && (
+        <FormRow
+          label="Reason to book anyway"
+          error={errors?.doNotRentOverrideReason?.message}
+        >
+          <Textarea
+            id="doNotRentOverrideReason"
+            disabled={isWorking}
+            {...register("doNotRentOverrideReason", {
+              required: "Say why this guest is booked anyway",
+            })}
+          />
+        </FormRow>
+      )}
+
+      {isNewGuest && (
+        <>
+          <FormRow label="Full name" error={errors?.fullName?.message}>
+            <Input
+              type="text"
+              id="fullName"
+              disabled={isWorking}
+              {...register("fullName", { required: "This field is required" })}
+            />
+          </FormRow>
+
+          <FormRow label="Email address" error={errors?.email?.message}>
+            <Input
+              type="email"
+              id="email"
+              disabled={isWorking}
+              {...register("email", {
+                required: "This field is required",
+                pattern: {
+                  value: /\S+@\S+\.\S+/,
+                  message: "Please provide a valid email address",
+                },
+              })}
+            />
+          </FormRow>
+
+          <FormRow label="Nationality" error={errors?.nationality?.message}>
+            <CountryPicker
+              id="nationality"
+              country={nationality}
+              disabled={isWorking}
+              {...register("nationality", {
+                required: "This field is required",
+                validate: (value) =>
+                  Boolean(toCountryCode(value)) ||
+                  "Please choose a country from the list",
+              })}
+            />
+          </FormRow>
+
+          <FormRow label="National ID" error={errors?.nationalID?.message}>
+            <Input
+              type="text"
+              id="nationalID"
+              disabled={isWorking}
+              {...register("nationalID", {
+                required: "This field is required",
+              })}
+            />
+          </FormRow>
+        </>
+      )}
+
+      <FormRow label="Cabin" error={errors?.cabinId?.message}>
+        <Select
+          id="cabinId"
+          disabled={isWorking}
+          options={[
+            { value: "", label: "Select a cabin" },
+            ...cabins.map((cabin) => ({
+              value: cabin.id,
+              label: `Cabin ${cabin.name} (up to ${cabin.maxCapacity} guests)`,
+            })),
+          ]}
+          {...register("cabinId", { required: "Please select a cabin" })}
+        />
+      </FormRow>
+
+      <FormRow label="Check in date" error={errors?.startDate?.message}>
+        <Input
+          type="date"
+          id="startDate"
+          disabled={isWorking}
+          {...register("startDate", { required: "This field is required" })}
+        />
+      </FormRow>
+
+      <FormRow label="Check out date" error={errors?.endDate?.message}>
+        <Input
+          type="date"
+          id="endDate"
+          disabled={isWorking}
+          {...register("endDate", {
+            required: "This field is required",
+            validate: (value, { startDate }) => {
+              const numNights = subtractDates(value, startDate);
+
+              if (numNights < 1)
+                return "Check out should be after the check in date";
+              if (numNights < settings.minBookingLength)
+                return `A booking needs at least ${settings.minBookingLength} nights`;
+              if (numNights > settings.maxBookingLength)
+                return `A booking can be at most ${settings.maxBookingLength} nights`;
+
+              return true;
+            },
+          })}
+        />
+      </FormRow>
+
+      <FormRow label="Number of guests" error={errors?.numGuests?.message}>
+        <Input
+          type="number"
+          id="numGuests"
+          disabled={isWorking}
+          {...register("numGuests", {
+            required: "This field is required",
+            min: { value: 1, message: "There should be at least 1 guest" },
+            max: {
+              value: maxGuests,
+              message: `This booking fits up to ${maxGuests} guests`,
+            },
+          })}
+        />
+      </FormRow>
+
+      {extraOptions.length > 0 && (
+        <FormRow label="Extras">
+          <ExtrasList id="extras">
+            {extraOptions.map((extra) => {
+              const key = extraKey(extra);
+              const pricing = EXTRA_PRICING.find(
+                (option) => option.value === extra.pricing,
+              )?.label.toLowerCase();
+
+              return (
+                <Checkbox
+                  key={key}
+                  id={`extra-${key}`}
+                  checked={extraKeys.includes(key)}
+                  disabled={isWorking}
+                  onChange={(event) =>
+                    setValue(
+                      "extraKeys",
+                      event.target.checked
+                        ? [...extraKeys, key]
+                        : extraKeys.filter((selected) => selected !== key),
+                    )
+                  }
+                >
+                  {extra.name} ({formatCurrency(extra.price)} {pricing})
+                </Checkbox>
+              );
+            })}
+          </ExtrasList>
+        </FormRow>
+      )}
+
+      {!isEditSession && (
+        <FormRow label="Deposit" error={errors?.deposit?.message}>
+          <Input
+            type="number"
+            step="0.01"
+            id="deposit"
+            disabled={isWorking}
+            {...register("deposit", {
+              min: { value: 0, message: "Deposit can't be negative" },
+              validate: (value) =>
+                !prices ||
+                Number(value) <= prices.totalPrice ||
+                "Deposit can't be more than the total price",
+            })}
+          />
+        </FormRow>
+      )}
+
+      {!isEditSession && Number(deposit) > 0 && (
+        <FormRow label="Deposit paid by">
+          <Select
+            id="depositMethod"
+            disabled={isWorking}
+            options={PAYMENT_METHODS}
+            {...register("depositMethod")}
+          />
+        </FormRow>
+      )}
+
+      <FormRow label="Observations">
+        <Textarea
+          id="observations"
+          disabled={isWorking}
+          {...register("observations")}
+        />
+      </FormRow>
+
+      <FormRow label="Availability">
+        <Availability id="availability" available={isAvailable}>
+          {!cabin || !hasDates
+            ? "Select a cabin and dates"
+            : isChecking
+              ? "Checking..."
+              : isAvailable
+                ? "Cabin is available"
+                : `Already booked by ${overlapping
+                    .map((booking) => booking.guests?.fullName)
+                    .join(", ")}`}
+        </Availability>
+      </FormRow>
+
+      {prices && isEditSession && (
+        <FormRow label="Price change">
+          <PriceDiff id="price">
+            <span></span>
+            <span>Before</span>
+            <span>After</span>
+            <span>Difference</span>
+
+            <span>Nights</span>
+            <span>{bookingToEdit.numNights}</span>
+            <span>{prices.numNights}</span>
+            <Difference value={prices.numNights - bookingToEdit.numNights}>
+              {prices.numNights - bookingToEdit.numNights}
+            </Difference>
+
+            {[
+              "cabinPrice",
+              "extrasPrice",
+              ...(loyaltyDiscountPercentage ? ["loyaltyDiscount"] : []),
+              "totalPrice",
+            ].map((field) => (
+              <Fragment key={field}>
+                <span>{priceLabels[field]}</span>
+                <span>{formatCurrency(bookingToEdit[field])}</span>
+                <span>{formatCurrency(prices[field])}</span>
+                <Difference value={prices[field] - bookingToEdit[field]}>
+                  {formatDifference(prices[field] - bookingToEdit[field])}
+                </Difference>
+              </Fragment>
+            ))}
+          </PriceDiff>
+        </FormRow>
+      )}
+
+      {prices && !isEditSession && (
+        <FormRow label="Price">
+          <Summary id="price">
+            {prices.numNights} nights: {formatCurrency(prices.cabinPrice)} cabin
+            + {formatCurrency(prices.extrasPrice)} extras
+            {prices.loyaltyDiscount > 0 &&
+              ` - ${formatCurrency(prices.loyaltyDiscount)} loyalty discount`}{" "}
+            = {formatCurrency(prices.totalPrice)}
+          </Summary>
+        </FormRow>
+      )}
+
+      <FormRow>
+        {/* type is an HTML attribute! */}
+        <Button onClick={() => onClose?.()} variation="secondary" type="reset">
+          Cancel
+        </Button>
+        <Button
+          disabled={isWorking || !isAvailable || isBlocked || isLoadingLoyalty}
+        >
+          {isEditSession ? "Save changes" : "Create booking"}
+        </Button>
+      </FormRow>
+    </Form>
+  );
+}
+
+export default CreateBookingForm;
@@ -0,0 +1,59 @@
+import styled from "styled-components";
+
+import Button from "../../ui/Button";
+import Heading from "../../ui/Heading";
+import { useBookings } from "./useBookings";
+import { useExportBookings } from "./useExportBookings";
+
+const StyledExportBookings = styled.div`
+  width: 40rem;
+  display: flex;
+  flex-direction: column;
+  gap: 1.2rem;
+
+  & p {
+    color: var(--color-grey-500);
+    margin-bottom: 1.2rem;
+  }
+
+  & div {
+    display: flex;
+    justify-content: flex-end;
+    gap: 1.2rem;
+  }
+`;
+
+function ExportBookings({ onClose }) {
+  const { count } = useBookings();
+  const { exportBookings, isExporting, progress } = useExportBookings();
+
+  function handleExport(fileType) {
+    exportBookings(fileType, { onSuccess: () => onClose?.() });
+  }
+
+  return (
+    <StyledExportBookings>
+      <Heading as="h3">Export bookings</Heading>
+      <p>
+        {progress
+          ? `Loading ${progress.done} of ${progress.total} bookings...`
+          : `All ${count ?? 0} bookings matching the current filters, search and sort will be exported, not only this page.`}
+      </p>
+
+      <div>
+        <Button
+          variation="secondary"
+          disabled={isExporting}
+          onClick={() => handleExport("csv")}
+        >
+          Export CSV
+        </Button>
+        <Button disabled={isExporting} onClick={() => handleExport("xlsx")}>
+          Export Excel
+        </Button>
+      </div>
+    </StyledExportBookings>
+  );
+}
+
+export default ExportBookings;
@@ -0,0 +1,71 @@
+import { useState } from "react";
+import { useSearchParams } from "react-router";
+
+import Button from "../../ui/Button";
+import Checkbox from "../../ui/Checkbox";
+import Form from "../../ui/Form";
+import FormRow from "../../ui/FormRow";
+import Input from "../../ui/Input";
+
+import { useCreateSavedView } from "./useCreateSavedView";
+import { useSavedViews } from "./useSavedViews";
+import { getViewQuery } from "../../utils/helpers";
+
+function SaveViewForm({ onClose }) {
+  const [searchParams] = useSearchParams();
+  const [name, setName] = useState("");
+  const [isShared, setIsShared] = useState(false);
+
+  const { userId } = useSavedViews();
+  const { createSavedView, isCreating } = useCreateSavedView();
+
+  function handleSubmit(event) {
+    event.preventDefault();
+    if (!name) return;
+
+    createSavedView(
+      { name, isShared, userId, query: getViewQuery(searchParams) },
+      { onSuccess: () => onClose?.() },
+    );
+  }
+
+  return (
+    <Form type={onClose ? "modal" : "reguler"} onSubmit={handleSubmit}>
+      <FormRow label="View name">
+        <Input
+          type="text"
+          id="viewName"
+          placeholder="e.g. Unpaid arrivals next 7 days"
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          disabled={isCreating}
+        />
+      </FormRow>
+
+      <FormRow label="Sharing">
+        <Checkbox
+          id="isShared"
+          checked={isShared}
+          onChange={() => setIsShared((shared) => !shared)}
+          disabled={isCreating}
+        >
+          Share this view with other staff
+        </Checkbox>
+      </FormRow>
+
+      <FormRow>
+        <Button
+          onClick={() => onClose?.()}
+          variation="secondary"
+          type="reset"
+          disabled={isCreating}
+        >
+          Cancel
+        </Button>
+        <Button disabled={isCreating || !name}>Save view</Button>
+      </FormRow>
+    </Form>
+  );
+}
+
+export default SaveViewForm;
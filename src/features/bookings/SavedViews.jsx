@@ -0,0 +1,97 @@
+import { useSearchParams } from "react-router";
+import { HiOutlineUsers, HiXMark } from "react-icons/hi2";
+import styled, { css } from "styled-components";
+
+import { useSavedViews } from "./useSavedViews";
+import { useDeleteSavedView } from "./useDeleteSavedView";
+import { getViewQuery } from "../../utils/helpers";
+
+const Tabs = styled.ul`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.4rem;
+  border-bottom: 1px solid var(--color-grey-200);
+`;
+
+const Tab = styled.li`
+  display: flex;
+  align-items: center;
+  gap: 0.4rem;
+  padding: 0.4rem 0.8rem;
+  border-bottom: 2px solid transparent;
+  margin-bottom: -1px;
+  font-size: 1.4rem;
+  font-weight: 500;
+  color: var(--color-grey-500);
+
+  ${(props) =>
+    props.active &&
+    css`
+      color: var(--color-brand-600);
+      border-bottom-color: var(--color-brand-600);
+    `}
+
+  & button {
+    display: flex;
+    align-items: center;
+    gap: 0.6rem;
+    background: none;
+    border: none;
+    border-radius: var(--border-radius-sm);
+    padding: 0.4rem;
+  }
+
+  & button:hover {
+    color: var(--color-brand-600);
+  }
+
+  & svg {
+    width: 1.6rem;
+    height: 1.6rem;
+  }
+`;
+
+function SavedViews() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { views, userId, isPending } = useSavedViews();
+  const { deleteSavedView, isDeleting } = useDeleteSavedView();
+
+  if (isPending || !views?.length) return null;
+
+  const currentQuery = getViewQuery(searchParams);
+
+  return (
+    <Tabs>
+      <Tab active={currentQuery === "" ? "active" : undefined}>
+        <button onClick={() => setSearchParams({})}>All bookings</button>
+      </Tab>
+
+      {views.map((view) => (
+        <Tab
+          key={view.id}
+          active={view.query === currentQuery ? "active" : undefined}
+        >
+          <button
+            onClick={() => setSearchParams(new URLSearchParams(view.query))}
+            title={view.userId !== userId ? "Shared by another user" : ""}
+          >
+            {view.userId !== userId && <HiOutlineUsers />}
+            {view.name}
+          </button>
+
+          {view.userId === userId && (
+            <button
+              onClick={() => deleteSavedView(view)}
+              disabled={isDeleting}
+              aria-label={`Delete view ${view.name}`}
+            >
+              <HiXMark />
+            </button>
+          )}
+        </Tab>
+      ))}
+    </Tabs>
+  );
+}
+
+export default SavedViews;
@@ -0,0 +1,11 @@
+import { useQuery } from "@tanstack/react-query";
+import { getBookingHistory } from "../../services/apiBookingHistory";
+
+export function useBookingHistory(bookingId) {
+  const { isPending, data: history } = useQuery({
+    queryKey: ["bookings", String(bookingId), "history"],
+    queryFn: () => getBookingHistory(bookingId),
+  });
+
+  return { isPending, history };
+}
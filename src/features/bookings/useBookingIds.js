@@ -0,0 +1,19 @@
+import { useQuery } from "@tanstack/react-query";
+import { useSearchParams } from "react-router";
+
+import { getBookingIds } from "../../services/apiBookings";
+import { getBookingsOptions } from "./useBookings";
+
+// Only loaded once every booking matching the filters gets selected
+export function useBookingIds(enabled) {
+  const [searchParams] = useSearchParams();
+  const { filters, search, sortBy } = getBookingsOptions(searchParams);
+
+  const { data: ids, isPending } = useQuery({
+    queryKey: ["bookings", "ids", filters, search, sortBy],
+    queryFn: () => getBookingIds({ filters, search, sortBy }),
+    enabled,
+  });
+
+  return { ids, isLoadingIds: enabled && isPending };
+}
@@ -2,23 +2,36 @@ import { useQuery, useQueryClient } from "@tanstack/react-query";
 import { getBookings } from "../../services/apiBookings";
 import { useSearchParams } from "react-router";
 import { PAGE_SIZE } from "../../utils/constants";
+import { parseFilter } from "../../utils/helpers";
 
-export function useBookings() {
-  const queryClient = useQueryClient();
-  const [searchParams] = useSearchParams();
-
+// Filter, search and sort of the bookings table, as they are stored in the URL
+export function getBookingsOptions(searchParams) {
   // Filter
   const filterValue = searchParams.get("status");
-  const filter =
-    !filterValue || filterValue === "all"
-      ? null
-      : { field: "status", value: filterValue };
+  const filters = searchParams
+    .getAll("filter")
+    .map(parseFilter)
+    .filter(Boolean);
+
+  if (filterValue && filterValue !== "all")
+    filters.push({ field: "status", value: filterValue });
+
+  // Search
+  const search = searchParams.get("search")?.trim() || "";
 
   // Sort
   const sortByRaw = searchParams.get("sortBy") || "startDate-esc";
   const [field, direction] = sortByRaw.split("-");
   const sortBy = { field, direction };
 
+  return { filters, search, sortBy };
+}
+
+export function useBookings() {
+  const queryClient = useQueryClient();
+  const [searchParams] = useSearchParams();
+  const { filters, search, sortBy } = getBookingsOptions(searchParams);
+
   // Pagination
   const page = !searchParams.get("page") ? 1 : Number(searchParams.get("page"));
 
@@ -28,8 +41,8 @@ export function useBookings() {
     isPending: bookingsLoading,
     error: bookingsError,
   } = useQuery({
-    queryKey: ["bookings", filter, sortBy, page],
-    queryFn: () => getBookings({ filter, sortBy, page }),
+    queryKey: ["bookings", filters, search, sortBy, page],
+    queryFn: () => getBookings({ filters, search, sortBy, page }),
   });
 
   // Prefetching
@@ -37,14 +50,14 @@ export function useBookings() {
 
   if (page < pageCount)
     queryClient.prefetchQuery({
-      queryKey: ["bookings", filter, sortBy, page + 1],
-      queryFn: () => getBookings({ filter, sortBy, page: page + 1 }),
+      queryKey: ["bookings", filters, search, sortBy, page + 1],
+      queryFn: () => getBookings({ filters, search, sortBy, page: page + 1 }),
     });
 
   if (page > 1)
     queryClient.prefetchQuery({
-      queryKey: ["bookings", filter, sortBy, page - 1],
-      queryFn: () => getBookings({ filter, sortBy, page: page - 1 }),
+      queryKey: ["bookings", filters, search, sortBy, page - 1],
+      queryFn: () => getBookings({ filters, search, sortBy, page: page - 1 }),
     });
 
   return { bookings, count, bookingsLoading, bookingsError };
@@ -0,0 +1,113 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+
+import {
+  cancelBooking,
+  deleteBooking,
+  getBookingsByIds,
+} from "../../services/apiBookings";
+import { getSettings } from "../../services/apiSettings";
+import { payRemainingBalance } from "../../services/apiPayments";
+import { checkOutBooking } from "../../services/apiFolio";
+import { calcCancellationFee } from "../../utils/helpers";
+import { canDelete, canTransition } from "../../utils/bookingLifecycle";
+import { BULK_CONCURRENCY, CANCELLED_STATUSES } from "../../utils/constants";
+
+// check returns the problem when an action can't be done on a booking. Actions with needsReason ask the user why, and get the settings to calculate fees
+export const bulkActions = {
+  paid: {
+    label: "Mark as paid",
+    // Cancelled bookings only owe their fee, which is paid one by one on the booking
+    check: (booking) =>
+      CANCELLED_STATUSES.includes(booking.status)
+        ? `is ${booking.status}`
+        : booking.isPaid && "is already paid",
+    run: (booking) =>
+      payRemainingBalance(booking, {
+        method: "other",
+        reference: "Marked as paid in bulk",
+      }),
+  },
+  checkout: {
+    label: "Check out",
+    check: (booking) =>
+      !canTransition(booking.status, "checked-out") && "is not checked in",
+    // Only settled bookings, the override is done one by one on the checkout page
+    run: (booking) => checkOutBooking(booking.id),
+  },
+  cancel: {
+    label: "Cancel",
+    needsReason: true,
+    check: (booking) =>
+      !canTransition(booking.status, "cancelled") &&
+      `is already ${booking.status}`,
+    run: (booking, { reason, settings }) =>
+      cancelBooking(booking.id, {
+        status: "cancelled",
+        cancellationReason: reason,
+        cancellationFee: calcCancellationFee({
+          booking,
+          status: "cancelled",
+          settings,
+        }),
+      }),
+  },
+  delete: {
+    label: "Delete",
+    variation: "danger",
+    check: (booking) =>
+      !canDelete(booking.status) && `is ${booking.status}, it has to be kept`,
+    run: (booking) => deleteBooking(booking.id),
+  },
+};
+
+export function useBulkUpdateBookings() {
+  const queryClient = useQueryClient();
+
+  const { mutate: bulkUpdate, isPending: isUpdating } = useMutation({
+    // Every booking is done on its own, so one failing booking does not stop the others. Only BULK_CONCURRENCY at a time, a whole
+    // table of bookings at once would flood the database with requests
+    mutationFn: async ({ action, ids, reason }) => {
+      const { check, run, needsReason } = bulkActions[action];
+      const bookings = await getBookingsByIds(ids);
+      const settings = needsReason ? await getSettings() : null;
+
+      const results = [];
+
+      for (let from = 0; from < ids.length; from += BULK_CONCURRENCY) {
+        const batch = await Promise.allSettled(
+          ids.slice(from, from + BULK_CONCURRENCY).map(async (id) => {
+            const booking = bookings.find((booking) => booking.id === id);
+            if (!booking) throw new Error("does not exist anymore");
+
+            const problem = check(booking);
+            if (problem) throw new Error(problem);
+
+            return run(booking, { reason, settings });
+          }),
+        );
+
+        results.push(...batch);
+      }
+
+      const failed = results
+        .map((result, i) => ({ id: ids[i], ...result }))
+        .filter((result) => result.status === "rejected")
+        .map((result) => ({ id: result.id, reason: result.reason.message }));
+
+      return { succeeded: ids.length - failed.length, failed };
+    },
+    onSuccess: ({ succeeded, failed }) => {
+      if (failed.length)
+        toast.error(
+          `${failed.length} of ${succeeded + failed.length} bookings failed`,
+        );
+      else toast.success(`${succeeded} bookings Succefully updated`);
+
+      queryClient.invalidateQueries({ queryKey: ["bookings"] });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { bulkUpdate, isUpdating };
+}
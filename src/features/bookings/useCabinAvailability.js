@@ -0,0 +1,26 @@
+import { useQuery } from "@tanstack/react-query";
+import { getOverlappingBookings } from "../../services/apiBookings";
+
+export function useCabinAvailability({
+  cabinId,
+  startDate,
+  endDate,
+  excludeId,
+}) {
+  const isComplete = Boolean(
+    cabinId && startDate && endDate && startDate < endDate,
+  );
+
+  const { isFetching: isChecking, data: overlapping = [] } = useQuery({
+    queryKey: ["availability", Number(cabinId), startDate, endDate, excludeId],
+    queryFn: () =>
+      getOverlappingBookings({ cabinId, startDate, endDate, excludeId }),
+    enabled: isComplete,
+  });
+
+  return {
+    isChecking,
+    overlapping,
+    isAvailable: isComplete && !isChecking && !overlapping.length,
+  };
+}
@@ -0,0 +1,20 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { cancelBooking as cancelBookingApi } from "../../services/apiBookings";
+
+export function useCancelBooking() {
+  const queryClient = useQueryClient();
+
+  const { mutate: cancelBooking, isPending: isCancelling } = useMutation({
+    mutationFn: ({ id, ...cancellation }) => cancelBookingApi(id, cancellation),
+    onSuccess: (data) => {
+      toast.success(
+        `Booking #${data.id} Succefully marked as ${data.status.replace("-", " ")}`,
+      );
+      queryClient.invalidateQueries({ queryKey: ["bookings"] });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { cancelBooking, isCancelling };
+}
@@ -0,0 +1,32 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { createBooking as createBookingApi } from "../../services/apiBookings";
+import { createGuest } from "../../services/apiGuests";
+import { createPayment } from "../../services/apiPayments";
+
+export function useCreateBooking() {
+  const queryClient = useQueryClient();
+
+  const { mutate: createBooking, isPending: isCreating } = useMutation({
+    mutationFn: async ({ newBooking, newGuest, deposit }) => {
+      // A guest typed into the form has to exist before the booking can point at it
+      const guestId = newGuest
+        ? (await createGuest(newGuest)).id
+        : newBooking.guestId;
+
+      const booking = await createBookingApi({ ...newBooking, guestId });
+
+      if (deposit) await createPayment({ ...deposit, bookingId: booking.id });
+
+      return booking;
+    },
+    onSuccess: (data) => {
+      toast.success(`Booking #${data.id} Succefully created`);
+      queryClient.invalidateQueries({ queryKey: ["bookings"] });
+      queryClient.invalidateQueries({ queryKey: ["guests"] });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { createBooking, isCreating };
+}
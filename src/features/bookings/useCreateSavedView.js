@@ -0,0 +1,22 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { createSavedView as createSavedViewApi } from "../../services/apiSavedViews";
+
+export function useCreateSavedView() {
+  const queryClient = useQueryClient();
+
+  const { mutate: createSavedView, isPending: isCreating } = useMutation({
+    mutationFn: createSavedViewApi,
+    onSuccess: (view) => {
+      toast.success(
+        view.isLocal
+          ? `View "${view.name}" saved in this browser only`
+          : `View "${view.name}" Succefully saved`,
+      );
+      queryClient.invalidateQueries({ queryKey: ["saved-views"] });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { createSavedView, isCreating };
+}
@@ -0,0 +1,18 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { deleteSavedView as deleteSavedViewApi } from "../../services/apiSavedViews";
+
+export function useDeleteSavedView() {
+  const queryClient = useQueryClient();
+
+  const { mutate: deleteSavedView, isPending: isDeleting } = useMutation({
+    mutationFn: deleteSavedViewApi,
+    onSuccess: () => {
+      toast.success("View Successfully deleted");
+      queryClient.invalidateQueries({ queryKey: ["saved-views"] });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { deleteSavedView, isDeleting };
+}
@@ -0,0 +1,37 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import {
+  getOverlappingBookings,
+  updateBooking,
+} from "../../services/apiBookings";
+import { syncBookingIsPaid } from "../../services/apiPayments";
+
+export function useEditBooking() {
+  const queryClient = useQueryClient();
+
+  const { mutate: editBooking, isPending: isEditing } = useMutation({
+    mutationFn: async ({ newBookingData, id }) => {
+      const overlapping = await getOverlappingBookings({
+        ...newBookingData,
+        excludeId: id,
+      });
+
+      if (overlapping.length)
+        throw new Error("This cabin is already booked for the selected dates");
+
+      const data = await updateBooking(id, newBookingData);
+
+      // A new total price can change whether the booking is paid
+      await syncBookingIsPaid(id);
+
+      return data;
+    },
+    onSuccess: (data) => {
+      toast.success(`Booking #${data.id} Succefully edited`);
+      queryClient.invalidateQueries({ queryKey: ["bookings"] });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { editBooking, isEditing };
+}
@@ -0,0 +1,95 @@
+import { useState } from "react";
+import { useMutation } from "@tanstack/react-query";
+import { useSearchParams } from "react-router";
+import { format } from "date-fns";
+import toast from "react-hot-toast";
+import writeXlsxFile from "write-excel-file/browser";
+
+import { getBookingsForExport } from "../../services/apiBookings";
+import { getBookingsOptions } from "./useBookings";
+import { EXPORT_PAGE_SIZE } from "../../utils/constants";
+import { downloadFile } from "../../utils/helpers";
+
+const columns = [
+  { header: "Booking", value: (booking) => booking.id },
+  { header: "Guest", value: (booking) => booking.guests.fullName },
+  { header: "Email", value: (booking) => booking.guests.email },
+  { header: "Cabin", value: (booking) => booking.cabins.name },
+  { header: "Check in", value: (booking) => booking.startDate.slice(0, 10) },
+  { header: "Check out", value: (booking) => booking.endDate.slice(0, 10) },
+  { header: "Nights", value: (booking) => booking.numNights },
+  { header: "Guests", value: (booking) => booking.numGuests },
+  { header: "Cabin price", value: (booking) => booking.cabinPrice },
+  { header: "Extras price", value: (booking) => booking.extrasPrice },
+  { header: "Loyalty tier", value: (booking) => booking.loyaltyTier ?? "" },
+  {
+    header: "Loyalty discount",
+    value: (booking) => booking.loyaltyDiscount ?? 0,
+  },
+  { header: "Total price", value: (booking) => booking.totalPrice },
+  { header: "Paid", value: (booking) => booking.isPaid },
+  { header: "Status", value: (booking) => booking.status },
+];
+
+function toCsvLine(values) {
+  return (
+    values
+      .map((value) => {
+        const text = String(value ?? "");
+        return /[",\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+      })
+      .join(",") + "\n"
+  );
+}
+
+export function useExportBookings() {
+  const [searchParams] = useSearchParams();
+  const [progress, setProgress] = useState(null);
+
+  const { mutate: exportBookings, isPending: isExporting } = useMutation({
+    mutationFn: async (fileType) => {
+      const options = getBookingsOptions(searchParams);
+      const rows = [];
+
+      // Load the rows page by page, giving the browser a moment between requests so the UI keeps responding
+      for (let from = 0; ; from += EXPORT_PAGE_SIZE) {
+        const { data, count } = await getBookingsForExport({
+          ...options,
+          from,
+          to: from + EXPORT_PAGE_SIZE - 1,
+        });
+
+        rows.push(
+          ...data.map((booking) =>
+            columns.map((column) => column.value(booking)),
+          ),
+        );
+        setProgress({ done: rows.length, total: count });
+
+        if (!data.length || rows.length >= count) break;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+
+      const headers = columns.map((column) => column.header);
+      const fileName = `bookings-${format(new Date(), "yyyy-MM-dd")}`;
+
+      if (fileType === "csv") {
+        const lines = [headers, ...rows].map(toCsvLine);
+        downloadFile(
+          new Blob(lines, { type: "text/csv;charset=utf-8" }),
+          `${fileName}.csv`,
+        );
+      } else {
+        const blob = await writeXlsxFile([headers, ...rows]).toBlob();
+        downloadFile(blob, `${fileName}.xlsx`);
+      }
+
+      return rows.length;
+    },
+    onSuccess: (numRows) => toast.success(`${numRows} bookings exported`),
+    onError: (error) => toast.error(error.message),
+    onSettled: () => setProgress(null),
+  });
+
+  return { exportBookings, isExporting, progress };
+}
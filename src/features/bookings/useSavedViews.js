@@ -0,0 +1,15 @@
+import { useQuery } from "@tanstack/react-query";
+import { getSavedViews } from "../../services/apiSavedViews";
+import { useUser } from "../authentication/useUser";
+
+export function useSavedViews() {
+  const { user } = useUser();
+
+  const { isPending, data: views } = useQuery({
+    queryKey: ["saved-views", user?.id],
+    queryFn: () => getSavedViews(user.id),
+    enabled: Boolean(user),
+  });
+
+  return { isPending, views, userId: user?.id };
+}
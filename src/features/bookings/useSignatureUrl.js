@@ -0,0 +1,14 @@
+import { useQuery } from "@tanstack/react-query";
+import { getSignatureUrl } from "../../services/apiSignatures";
+
+// Signed links last an hour, so they are asked for again well before that
+export function useSignatureUrl(signaturePath) {
+  const { isPending, data: signatureUrl } = useQuery({
+    queryKey: ["signatures", signaturePath],
+    queryFn: () => getSignatureUrl(signaturePath),
+    enabled: Boolean(signaturePath),
+    staleTime: 30 * 60 * 1000,
+  });
+
+  return { isPending, signatureUrl };
+}
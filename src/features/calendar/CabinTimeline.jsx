@@ -0,0 +1,286 @@
+import { useState } from "react";
+import styled, { css } from "styled-components";
+import {
+  addDays,
+  differenceInCalendarDays,
+  format,
+  isToday,
+  parseISO,
+} from "date-fns";
+import { useNavigate } from "react-router";
+
+import Spinner from "../../ui/Spinner";
+import Empty from "../../ui/Empty";
+
+import { useCabin } from "../cabins/useCabin";
+import { useSettings } from "../settings/useSetting";
+import { useCalendarBookings } from "./useCalendarBookings";
+import { useMoveBooking } from "./useMoveBooking";
+import { statusToTagName } from "../../utils/constants";
+
+const StyledTimeline = styled.div`
+  border: 1px solid var(--color-grey-200);
+  background-color: var(--color-grey-0);
+  border-radius: 7px;
+  overflow: hidden;
+  font-size: 1.4rem;
+`;
+
+const TimelineRow = styled.div`
+  display: grid;
+  grid-template-columns: 10rem 1fr;
+
+  &:not(:last-child) {
+    border-bottom: 1px solid var(--color-grey-100);
+  }
+`;
+
+const HeaderRow = styled(TimelineRow)`
+  background-color: var(--color-grey-50);
+  text-transform: uppercase;
+  letter-spacing: 0.4px;
+  font-weight: 600;
+  font-size: 1.1rem;
+  color: var(--color-grey-600);
+`;
+
+const Cabin = styled.div`
+  display: flex;
+  align-items: center;
+  padding: 0 1.6rem;
+  font-family: "Sono";
+  font-weight: 600;
+  font-size: 1.6rem;
+  color: var(--color-grey-600);
+  border-right: 1px solid var(--color-grey-100);
+`;
+
+const Days = styled.div`
+  display: grid;
+  grid-template-columns: repeat(${(props) => props.numDays}, 1fr);
+  grid-template-rows: 4.8rem;
+`;
+
+const Day = styled.div`
+  grid-row: 1;
+  grid-column: ${(props) => props.column};
+  border-right: 1px solid var(--color-grey-100);
+  background-color: ${(props) =>
+    props.today ? "var(--color-brand-50)" : "transparent"};
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  justify-content: center;
+  line-height: 1.3;
+`;
+
+const Bar = styled.button`
+  grid-row: 1;
+  grid-column: ${(props) => props.start} / ${(props) => props.end};
+  z-index: 1;
+  margin: 0.8rem 0.2rem;
+  padding: 0 0.8rem;
+  border: none;
+  border-radius: var(--border-radius-sm);
+  overflow: hidden;
+  white-space: nowrap;
+  text-overflow: ellipsis;
+  text-align: left;
+  position: relative;
+  font-size: 1.2rem;
+  font-weight: 600;
+
+  /* Same colors as the status tags in the bookings table */
+  color: var(--color-${(props) => props.type}-700);
+  background-color: var(--color-${(props) => props.type}-100);
+
+  &:hover {
+    filter: brightness(0.95);
+  }
+
+  &[draggable="true"] {
+    cursor: grab;
+  }
+
+  /* While dragging, let the day cells underneath receive the drop */
+  ${(props) =>
+    props.dragging &&
+    css`
+      pointer-events: none;
+      opacity: 0.6;
+    `}
+`;
+
+const Handle = styled.span`
+  position: absolute;
+  top: 0;
+  bottom: 0;
+  width: 0.8rem;
+  cursor: ew-resize;
+  ${(props) => (props.edge === "start" ? "left: 0;" : "right: 0;")}
+`;
+
+function CabinTimeline() {
+  const navigate = useNavigate();
+  const { cabins, isPending: isLoadingCabins } = useCabin();
+  const { isPending: isLoadingSettings } = useSettings();
+  const { bookings, days, isPending } = useCalendarBookings();
+  const { moveBooking, isMoving } = useMoveBooking();
+  const [drag, setDrag] = useState(null);
+
+  if (isPending || isLoadingCabins || isLoadingSettings) return <Spinner />;
+  if (!cabins.length) return <Empty resource="cabins" />;
+
+  const numDays = days.length;
+  const sortedCabins = [...cabins].sort((a, b) => a.name.localeCompare(b.name));
+
+  // Grid lines are 1-based, and a booking covers its nights, so the check out day stays free
+  function getColumns(booking) {
+    const start =
+      differenceInCalendarDays(parseISO(booking.startDate), days.at(0)) + 1;
+    const end =
+      differenceInCalendarDays(parseISO(booking.endDate), days.at(0)) + 1;
+
+    return {
+      start: Math.max(start, 1),
+      end: Math.min(end, numDays + 1),
+    };
+  }
+
+  // edge is "start" or "end" when resizing the stay, and "move" when the whole bar is dragged
+  function handleDragStart(event, booking, edge) {
+    event.stopPropagation();
+    event.dataTransfer.effectAllowed = "move";
+
+    // Remember which night of the stay was grabbed, so the bar does not jump to the cursor on drop
+    const { left, width } = event.currentTarget
+      .closest("[data-days]")
+      .getBoundingClientRect();
+    const grabbedDay = Math.floor(((event.clientX - left) / width) * numDays);
+    const grabOffset =
+      grabbedDay -
+      differenceInCalendarDays(parseISO(booking.startDate), days.at(0));
+
+    // Changing the DOM synchronously in dragstart cancels the drag in some browsers
+    setTimeout(() => setDrag({ booking, edge, grabOffset }), 0);
+  }
+
+  function handleDrop(event, cabin, dayIndex) {
+    event.preventDefault();
+    if (!drag) return;
+
+    const { booking, edge, grabOffset } = drag;
+    setDrag(null);
+
+    const toDate = (date) => format(date, "yyyy-MM-dd");
+    let startDate = booking.startDate.slice(0, 10);
+    let endDate = booking.endDate.slice(0, 10);
+    let targetCabin = cabins.find((cabin) => cabin.id === booking.cabinId);
+
+    if (edge === "move") {
+      const newStart = addDays(days.at(0), dayIndex - grabOffset);
+
+      startDate = toDate(newStart);
+      endDate = toDate(addDays(newStart, booking.numNights));
+      targetCabin = cabin;
+    }
+    if (edge === "start") startDate = toDate(days.at(dayIndex));
+    // Dropping on a day means the guest sleeps there, so they leave the day after
+    if (edge === "end") endDate = toDate(addDays(days.at(dayIndex), 1));
+
+    if (
+      targetCabin.id === booking.cabinId &&
+      startDate === booking.startDate.slice(0, 10) &&
+      endDate === booking.endDate.slice(0, 10)
+    )
+      return;
+
+    moveBooking({
+      booking,
+      cabin: targetCabin,
+      startDate,
+      endDate,
+      otherBookings: bookings,
+    });
+  }
+
+  return (
+    <StyledTimeline role="table">
+      <HeaderRow role="row">
+        <Cabin>Cabin</Cabin>
+        <Days numDays={numDays}>
+          {days.map((day, i) => (
+            <Day key={day.toISOString()} column={i + 1} today={isToday(day)}>
+              <span>{format(day, numDays > 7 ? "EEEEE" : "EEE")}</span>
+              <span>{format(day, "dd")}</span>
+            </Day>
+          ))}
+        </Days>
+      </HeaderRow>
+
+      {sortedCabins.map((cabin) => (
+        <TimelineRow role="row" key={cabin.id}>
+          <Cabin>{cabin.name}</Cabin>
+          <Days numDays={numDays} data-days>
+            {days.map((day, i) => (
+              <Day
+                key={day.toISOString()}
+                column={i + 1}
+                today={isToday(day)}
+                onDragOver={(event) => drag && event.preventDefault()}
+                onDrop={(event) => handleDrop(event, cabin, i)}
+              />
+            ))}
+
+            {bookings
+              .filter((booking) => booking.cabinId === cabin.id)
+              .map((booking) => {
+                const { start, end } = getColumns(booking);
+                const isDraggable =
+                  booking.status !== "checked-out" && !isMoving;
+
+                return (
+                  <Bar
+                    key={booking.id}
+                    start={start}
+                    end={end}
+                    type={statusToTagName[booking.status]}
+                    draggable={isDraggable}
+                    dragging={drag ? "dragging" : undefined}
+                    onDragStart={(event) =>
+                      handleDragStart(event, booking, "move")
+                    }
+                    onDragEnd={() => setDrag(null)}
+                    title={`#${booking.id} ${booking.guests.fullName} (${booking.numNights} nights, ${booking.status.replace("-", " ")})`}
+                    onClick={() => navigate(`/bookings/${booking.id}`)}
+                  >
+                    {isDraggable && (
+                      <Handle
+                        edge="start"
+                        draggable
+                        onDragStart={(event) =>
+                          handleDragStart(event, booking, "start")
+                        }
+                      />
+                    )}
+                    {booking.guests.fullName}
+                    {isDraggable && (
+                      <Handle
+                        edge="end"
+                        draggable
+                        onDragStart={(event) =>
+                          handleDragStart(event, booking, "end")
+                        }
+                      />
+                    )}
+                  </Bar>
+                );
+              })}
+          </Days>
+        </TimelineRow>
+      ))}
+    </StyledTimeline>
+  );
+}
+
+export default CabinTimeline;
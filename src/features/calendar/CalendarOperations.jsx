@@ -0,0 +1,65 @@
+import styled from "styled-components";
+import { useSearchParams } from "react-router";
+import { HiChevronLeft, HiChevronRight } from "react-icons/hi2";
+import { addMonths, addWeeks, format } from "date-fns";
+
+import Filter from "../../ui/Filter";
+import ButtonIcon from "../../ui/ButtonIcon";
+import ButtonText from "../../ui/ButtonText";
+import TableOperations from "../../ui/TableOperations";
+import { useCalendarBookings } from "./useCalendarBookings";
+
+const Navigation = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.4rem;
+
+  & p {
+    min-width: 16rem;
+    text-align: center;
+    font-weight: 500;
+  }
+`;
+
+function CalendarOperations() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { view, anchor, days } = useCalendarBookings();
+
+  function moveTo(date) {
+    searchParams.set("date", format(date, "yyyy-MM-dd"));
+    setSearchParams(searchParams);
+  }
+
+  function move(step) {
+    moveTo(view === "month" ? addMonths(anchor, step) : addWeeks(anchor, step));
+  }
+
+  return (
+    <TableOperations>
+      <Navigation>
+        <ButtonIcon onClick={() => move(-1)} aria-label="Previous">
+          <HiChevronLeft />
+        </ButtonIcon>
+        <p>
+          {view === "month"
+            ? format(anchor, "MMMM yyyy")
+            : `${format(days.at(0), "MMM dd")} — ${format(days.at(-1), "MMM dd yyyy")}`}
+        </p>
+        <ButtonIcon onClick={() => move(1)} aria-label="Next">
+          <HiChevronRight />
+        </ButtonIcon>
+        <ButtonText onClick={() => moveTo(new Date())}>Today</ButtonText>
+      </Navigation>
+
+      <Filter
+        filterField="view"
+        options={[
+          { value: "week", label: "Week" },
+          { value: "month", label: "Month" },
+        ]}
+      />
+    </TableOperations>
+  );
+}
+
+export default CalendarOperations;
@@ -0,0 +1,44 @@
+import { useQuery } from "@tanstack/react-query";
+import { useSearchParams } from "react-router";
+import {
+  addDays,
+  eachDayOfInterval,
+  endOfMonth,
+  format,
+  parseISO,
+  startOfMonth,
+  startOfWeek,
+} from "date-fns";
+import { getBookingsBetween } from "../../services/apiBookings";
+
+export function useCalendarBookings() {
+  const [searchParams] = useSearchParams();
+
+  // Zoom
+  const view = searchParams.get("view") || "week";
+
+  // Range. The first visible day is always the start of the week / month the anchor date is in
+  const anchor = searchParams.get("date")
+    ? parseISO(searchParams.get("date"))
+    : new Date();
+
+  const start =
+    view === "month"
+      ? startOfMonth(anchor)
+      : startOfWeek(anchor, { weekStartsOn: 1 });
+  const end =
+    view === "month" ? addDays(endOfMonth(anchor), 1) : addDays(start, 7);
+
+  const days = eachDayOfInterval({ start, end: addDays(end, -1) });
+
+  const startDate = format(start, "yyyy-MM-dd");
+  const endDate = format(end, "yyyy-MM-dd");
+
+  // Query
+  const { isPending, data: bookings } = useQuery({
+    queryKey: ["bookings", "calendar", startDate, endDate],
+    queryFn: () => getBookingsBetween(startDate, endDate),
+  });
+
+  return { isPending, bookings, days, view, anchor };
+}
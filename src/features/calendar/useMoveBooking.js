@@ -0,0 +1,79 @@
+import toast from "react-hot-toast";
+import { format, parseISO } from "date-fns";
+
+import { useEditBooking } from "../bookings/useEditBooking";
+import { useSettings } from "../settings/useSetting";
+import { calcBookingPrices, getBookingExtras } from "../../utils/helpers";
+
+// Dragging a booking in the calendar either moves it (other cabin and/or other dates) or resizes the stay
+export function useMoveBooking() {
+  const { settings } = useSettings();
+  const { editBooking, isEditing: isMoving } = useEditBooking();
+
+  function getMoveError({ booking, cabin, startDate, endDate, otherBookings }) {
+    const { numNights } = calcBookingPrices({
+      startDate,
+      endDate,
+      cabin,
+      numGuests: booking.numGuests,
+    });
+
+    if (
+      booking.status === "checked-in" &&
+      startDate !== format(parseISO(booking.startDate), "yyyy-MM-dd")
+    )
+      return "The guest already checked in, the arrival date cannot change";
+    if (numNights < settings.minBookingLength)
+      return `A booking needs at least ${settings.minBookingLength} nights`;
+    if (numNights > settings.maxBookingLength)
+      return `A booking can be at most ${settings.maxBookingLength} nights`;
+    if (booking.numGuests > cabin.maxCapacity)
+      return `Cabin ${cabin.name} only fits up to ${cabin.maxCapacity} guests`;
+
+    const overlapping = otherBookings.find(
+      (other) =>
+        other.id !== booking.id &&
+        other.cabinId === cabin.id &&
+        other.startDate.slice(0, 10) < endDate &&
+        other.endDate.slice(0, 10) > startDate,
+    );
+
+    if (overlapping)
+      return `Cabin ${cabin.name} is already booked by ${overlapping.guests.fullName} on these dates`;
+
+    return null;
+  }
+
+  function moveBooking({ booking, cabin, startDate, endDate, otherBookings }) {
+    const error = getMoveError({
+      booking,
+      cabin,
+      startDate,
+      endDate,
+      otherBookings,
+    });
+
+    if (error) return toast.error(error);
+
+    editBooking({
+      id: booking.id,
+      newBookingData: {
+        cabinId: cabin.id,
+        startDate,
+        endDate,
+        ...calcBookingPrices({
+          startDate,
+          endDate,
+          cabin,
+          numGuests: booking.numGuests,
+          extras: getBookingExtras(booking),
+          loyaltyDiscountPercentage: booking.loyaltyDiscountPercentage ?? 0,
+          chargesPrice: booking.chargesPrice ?? 0,
+          refundedAmount: booking.refundedAmount ?? 0,
+        }),
+      },
+    });
+  }
+
+  return { moveBooking, isMoving };
+}
@@ -10,12 +10,31 @@ import Button from "../../ui/Button";
 import ButtonText from "../../ui/ButtonText";
 import Checkbox from "../../ui/Checkbox";
 import Spinner from "../../ui/Spinner";
+import Empty from "../../ui/Empty";
+import Select from "../../ui/Select";
+import Input from "../../ui/Input";
+import SignaturePad from "../../ui/SignaturePad";
 
-import { formatCurrency } from "../../utils/helpers";
+import {
+  calcBalance,
+  calcExtrasPrice,
+  formatCurrency,
+  getBookingExtras,
+  getMissingDocuments,
+  includesBreakfast,
+  toBookingExtras,
+} from "../../utils/helpers";
+import { PAYMENT_METHODS } from "../../utils/constants";
+import { canTransition, formatStatus } from "../../utils/bookingLifecycle";
 
 import { useBooking } from "../bookings/useBooking";
 import { useCheckin } from "./useCheckin";
-import { useSettings } from "../settings/useSetting";
+import { useExtras } from "../extras/useExtras";
+import GuestAlerts from "../guests/GuestAlerts";
+import GuestDocuments from "./GuestDocuments";
+import { useGuestDocuments } from "./useGuestDocuments";
+import { usePayments } from "../payments/usePayments";
+import { useRefunds } from "../payments/useRefunds";
 import { el } from "date-fns/locale";
 
 const Box = styled.div`
@@ -26,45 +45,140 @@ const Box = styled.div`
   padding: 2.4rem 4rem;
 `;
 
+const ExtrasBox = styled(Box)`
+  display: flex;
+  flex-direction: column;
+  gap: 1.2rem;
+`;
+
+const SignatureBox = styled(Box)`
+  display: flex;
+  flex-direction: column;
+  gap: 1.2rem;
+`;
+
+const Payment = styled.div`
+  display: flex;
+  gap: 1.2rem;
+  margin-top: 1.6rem;
+`;
+
 function CheckinBooking() {
   const [confirmedPaid, setConfirmedPaid] = useState(false);
-  const [addBreakFast, setAddBreakfast] = useState(false);
+  const [addedExtraIds, setAddedExtraIds] = useState([]);
+  const [method, setMethod] = useState("cash");
+  const [reference, setReference] = useState("");
+  const [signature, setSignature] = useState(null);
   const moveBack = useMoveBack();
 
   const { booking, isPending } = useBooking();
   const { checkin, isCheckingIn } = useCheckin();
-  const { settings, isPending: isLoadingSettings } = useSettings();
+  const { extras, isPending: isLoadingExtras } = useExtras();
+  const { payments, isPending: isLoadingPayments } = usePayments(booking?.id);
+  const { refunds, isPending: isLoadingRefunds } = useRefunds(booking?.id);
+  const { documents, isPending: isLoadingDocuments } = useGuestDocuments(
+    booking?.id,
+  );
 
   useEffect(() => setConfirmedPaid(booking?.isPaid ?? false), [booking]);
 
-  if (isPending || isLoadingSettings) return <Spinner />;
+  if (
+    isPending ||
+    isLoadingExtras ||
+    isLoadingPayments ||
+    isLoadingRefunds ||
+    isLoadingDocuments
+  )
+    return <Spinner />;
+  if (!booking) return <Empty resource="Booking" />;
 
   const {
     id: bookingId,
+    status,
     guests,
     totalPrice,
+    extrasPrice,
     numGuests,
-    hasBreakfast,
     numNights,
   } = booking;
 
-  const optionalBreakfastPrice =
-    settings?.breakfastPrice * numNights * numGuests;
+  // Nothing may be paid or signed for a booking that can't be checked in
+  if (!canTransition(status, "checked-in"))
+    return (
+      <>
+        <Row itemProp="horizontal">
+          <Heading as="h1">Check in booking #{bookingId}</Heading>
+          <ButtonText onClick={moveBack}>&larr; Back</ButtonText>
+        </Row>
+
+        <Box>
+          Booking #{bookingId} is {formatStatus(status)}, only unconfirmed
+          bookings can be checked in.
+        </Box>
+      </>
+    );
+
+  // Guests can still add extras they didn't book, at today's catalog price
+  const bookedExtras = getBookingExtras(booking);
+  const optionalExtras = extras.filter(
+    (extra) =>
+      extra.isActive &&
+      !bookedExtras.some(
+        (booked) => booked.id === extra.id || booked.name === extra.name,
+      ),
+  );
+  const addedExtras = optionalExtras.filter((extra) =>
+    addedExtraIds.includes(extra.id),
+  );
+  const addedExtrasPrice = calcExtrasPrice(addedExtras, {
+    numNights,
+    numGuests,
+  });
+
+  const newTotalPrice = totalPrice + addedExtrasPrice;
+  const { amountPaid, balance } = calcBalance(booking, {
+    payments,
+    refunds,
+    totalPrice: newTotalPrice,
+  });
+  const needsPayment = balance > 0;
+  const missingDocuments = getMissingDocuments(numGuests, documents);
 
   function handleCheckin() {
-    if (!confirmedPaid) return;
+    if (
+      (needsPayment && !confirmedPaid) ||
+      missingDocuments.length ||
+      !signature
+    )
+      return;
+
+    const payment = needsPayment
+      ? {
+          bookingId,
+          amount: balance,
+          method,
+          reference,
+          paidAt: new Date().toISOString().slice(0, 10),
+        }
+      : null;
+
+    if (addedExtras.length) {
+      const newExtras = [...bookedExtras, ...addedExtras];
 
-    if (addBreakFast) {
       checkin({
         bookingId,
-        breakfast: {
-          hasBreakfast: true,
-          extrasPrice: optionalBreakfastPrice,
-          totalPrice: totalPrice + optionalBreakfastPrice,
+        numGuests,
+        signature,
+        extras: {
+          extras: toBookingExtras(newExtras),
+          hasBreakfast: includesBreakfast(newExtras),
+          extrasPrice: extrasPrice + addedExtrasPrice,
+          totalPrice: newTotalPrice,
         },
+        payment,
       });
     } else {
-      checkin({ bookingId, breakfast: {} });
+      checkin({ bookingId, numGuests, signature, extras: {}, payment });
     }
   }
 
@@ -75,41 +189,101 @@ function CheckinBooking() {
         <ButtonText onClick={moveBack}>&larr; Back</ButtonText>
       </Row>
 
-      <BookingDataBox booking={booking} />
+      <GuestAlerts guest={guests} />
 
-      {!hasBreakfast && (
-        <Box>
-          <Checkbox
-            checked={addBreakFast}
-            onChange={() => {
-              setAddBreakfast((add) => !add);
-              setConfirmedPaid(false);
-            }}
-            id="breakfast"
-          >
-            Want to add Breakfast for {formatCurrency(optionalBreakfastPrice)}?
-          </Checkbox>
-        </Box>
+      <BookingDataBox
+        booking={booking}
+        payments={payments}
+        refunds={refunds}
+        showGuestAlerts={false}
+      />
+
+      <GuestDocuments booking={booking} documents={documents} />
+
+      {optionalExtras.length > 0 && (
+        <ExtrasBox>
+          {optionalExtras.map((extra) => (
+            <Checkbox
+              key={extra.id}
+              checked={addedExtraIds.includes(extra.id)}
+              onChange={() => {
+                setAddedExtraIds((ids) =>
+                  ids.includes(extra.id)
+                    ? ids.filter((id) => id !== extra.id)
+                    : [...ids, extra.id],
+                );
+                setConfirmedPaid(false);
+              }}
+              id={`extra-${extra.id}`}
+            >
+              Want to add {extra.name} for{" "}
+              {formatCurrency(
+                calcExtrasPrice([extra], { numNights, numGuests }),
+              )}
+              ?
+            </Checkbox>
+          ))}
+        </ExtrasBox>
       )}
 
       <Box>
-        <Checkbox
-          checked={confirmedPaid}
-          onChange={() => setConfirmedPaid((confirm) => !confirm)}
-          disabled={confirmedPaid || isCheckingIn}
-          id={bookingId}
-        >
-          I Confirm that {guests.fullName} has paid all total amount of{" "}
-          {!addBreakFast
-            ? formatCurrency(totalPrice)
-            : `${formatCurrency(totalPrice + optionalBreakfastPrice)} (${formatCurrency(totalPrice)} + ${formatCurrency(optionalBreakfastPrice)})`}
-        </Checkbox>
+        {needsPayment ? (
+          <>
+            <Checkbox
+              checked={confirmedPaid}
+              onChange={() => setConfirmedPaid((confirm) => !confirm)}
+              disabled={isCheckingIn}
+              id={bookingId}
+            >
+              I Confirm that {guests.fullName} has paid the remaining{" "}
+              {formatCurrency(balance)} ({formatCurrency(newTotalPrice)} total
+              {amountPaid > 0 && `, ${formatCurrency(amountPaid)} already paid`}
+              )
+            </Checkbox>
+
+            <Payment>
+              <Select
+                id="method"
+                value={method}
+                onChange={(event) => setMethod(event.target.value)}
+                disabled={isCheckingIn}
+                options={PAYMENT_METHODS}
+              />
+              <Input
+                type="text"
+                id="reference"
+                placeholder="Reference (optional)"
+                value={reference}
+                onChange={(event) => setReference(event.target.value)}
+                disabled={isCheckingIn}
+              />
+            </Payment>
+          </>
+        ) : (
+          <p>
+            {guests.fullName} has already paid the total amount of{" "}
+            {formatCurrency(newTotalPrice)}
+          </p>
+        )}
       </Box>
 
+      <SignatureBox>
+        <p>
+          By signing, {guests.fullName} confirms the details above are correct
+          and accepts the house rules for all guests of this booking.
+        </p>
+        <SignaturePad onChange={setSignature} disabled={isCheckingIn} />
+      </SignatureBox>
+
       <ButtonGroup>
         <Button
           onClick={handleCheckin}
-          disabled={!confirmedPaid || isCheckingIn}
+          disabled={
+            (needsPayment && !confirmedPaid) ||
+            missingDocuments.length > 0 ||
+            !signature ||
+            isCheckingIn
+          }
         >
           Check in booking #{bookingId}
         </Button>
@@ -0,0 +1,170 @@
+import styled from "styled-components";
+import { useState } from "react";
+import { useMoveBack } from "../../hooks/useMoveBack";
+
+import Row from "../../ui/Row";
+import Heading from "../../ui/Heading";
+import ButtonGroup from "../../ui/ButtonGroup";
+import Button from "../../ui/Button";
+import ButtonText from "../../ui/ButtonText";
+import Checkbox from "../../ui/Checkbox";
+import Spinner from "../../ui/Spinner";
+import Empty from "../../ui/Empty";
+import Textarea from "../../ui/Textarea";
+import Modal from "../../ui/Modal";
+import Folio from "./Folio";
+import CreateChargeForm from "./CreateChargeForm";
+import CreatePaymentForm from "../payments/CreatePaymentForm";
+
+import { calcBalance, formatCurrency } from "../../utils/helpers";
+import { canTransition } from "../../utils/bookingLifecycle";
+
+import { useBooking } from "../bookings/useBooking";
+import { useCheckOut } from "./useCheckOut";
+import { useCharges } from "./useCharges";
+import { usePayments } from "../payments/usePayments";
+import { useRefunds } from "../payments/useRefunds";
+import { useUser } from "../authentication/useUser";
+import { useDownloadInvoice } from "../invoices/useDownloadInvoice";
+
+const Box = styled.div`
+  /* Box */
+  background-color: var(--color-grey-0);
+  border: 1px solid var(--color-grey-100);
+  border-radius: var(--border-radius-md);
+  padding: 2.4rem 4rem;
+
+  display: flex;
+  flex-direction: column;
+  gap: 1.2rem;
+`;
+
+function CheckoutBooking() {
+  const [isOverride, setIsOverride] = useState(false);
+  const [overrideReason, setOverrideReason] = useState("");
+  const moveBack = useMoveBack();
+
+  const { booking, isPending } = useBooking();
+  const { checkout, isCheckingOut } = useCheckOut();
+  const { isAdmin } = useUser();
+  const { downloadInvoice, isDownloading } = useDownloadInvoice();
+  const { charges, isPending: isLoadingCharges } = useCharges(booking?.id);
+  const { payments, isPending: isLoadingPayments } = usePayments(booking?.id);
+  const { refunds, isPending: isLoadingRefunds } = useRefunds(booking?.id);
+
+  if (isPending) return <Spinner />;
+  if (!booking) return <Empty resource="Booking" />;
+  if (isLoadingCharges || isLoadingPayments || isLoadingRefunds)
+    return <Spinner />;
+
+  const { id: bookingId, status, guests } = booking;
+  const { balance } = calcBalance(booking, { payments, refunds });
+  const isSettled = balance <= 0;
+  const canCheckOut =
+    canTransition(status, "checked-out") &&
+    (isSettled || (isOverride && overrideReason.trim()));
+
+  function handleCheckout() {
+    if (!canCheckOut) return;
+
+    checkout({
+      bookingId,
+      overrideReason: isSettled ? undefined : overrideReason.trim(),
+    });
+  }
+
+  return (
+    <>
+      <Row itemProp="horizontal">
+        <Heading as="h1">Check out booking #{bookingId}</Heading>
+        <ButtonText onClick={moveBack}>&larr; Back</ButtonText>
+      </Row>
+
+      <Folio
+        booking={booking}
+        charges={charges}
+        payments={payments}
+        refunds={refunds}
+      />
+
+      {!isSettled && (
+        <Box>
+          <p>
+            {guests.fullName} still has to pay {formatCurrency(balance)} before
+            checking out.
+          </p>
+
+          {isAdmin && (
+            <>
+              <Checkbox
+                checked={isOverride}
+                onChange={() => setIsOverride((override) => !override)}
+                disabled={isCheckingOut}
+                id="override"
+              >
+                Check out anyway, the balance stays open
+              </Checkbox>
+
+              {isOverride && (
+                <Textarea
+                  id="overrideReason"
+                  placeholder="Why is the guest leaving without paying?"
+                  value={overrideReason}
+                  onChange={(event) => setOverrideReason(event.target.value)}
+                  disabled={isCheckingOut}
+                />
+              )}
+            </>
+          )}
+        </Box>
+      )}
+
+      <ButtonGroup>
+        <Modal>
+          <Modal.Open opens="charge">
+            <Button variation="secondary" disabled={isCheckingOut}>
+              Add charge
+            </Button>
+          </Modal.Open>
+          <Modal.Window name="charge">
+            <CreateChargeForm booking={booking} />
+          </Modal.Window>
+
+          {!isSettled && (
+            <>
+              <Modal.Open opens="payment">
+                <Button variation="secondary" disabled={isCheckingOut}>
+                  Record payment
+                </Button>
+              </Modal.Open>
+              <Modal.Window name="payment">
+                <CreatePaymentForm bookingId={bookingId} balance={balance} />
+              </Modal.Window>
+            </>
+          )}
+        </Modal>
+
+        {/* Guests usually ask for the invoice when they leave */}
+        <Button
+          variation="secondary"
+          onClick={() => downloadInvoice(bookingId)}
+          disabled={isDownloading || isCheckingOut}
+        >
+          Download invoice
+        </Button>
+
+        <Button
+          onClick={handleCheckout}
+          disabled={!canCheckOut || isCheckingOut}
+        >
+          Check out booking #{bookingId}
+        </Button>
+        <Button variation="secondary" onClick={moveBack}>
+          Back
+        </Button>
+      </ButtonGroup>
+    </>
+  );
+}
+
+export default CheckoutBooking;
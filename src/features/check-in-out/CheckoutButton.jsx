@@ -1,15 +1,14 @@
+import { Link } from "react-router";
 import Button from "../../ui/Button";
-import { useCheckOut } from "./useCheckOut";
 
+// Checking out goes through the folio, so the balance is settled first
 function CheckoutButton({ bookingId }) {
-  const { checkout, isCheckingOut } = useCheckOut();
-
   return (
     <Button
       variation="primary"
       size="small"
-      onClick={() => checkout(bookingId)}
-      disabled={isCheckingOut}
+      as={Link}
+      to={`/checkout/${bookingId}`}
     >
       Check out
     </Button>
@@ -0,0 +1,79 @@
+import { useForm } from "react-hook-form";
+
+import Button from "../../ui/Button";
+import Form from "../../ui/Form";
+import FormRow from "../../ui/FormRow";
+import Input from "../../ui/Input";
+import Select from "../../ui/Select";
+
+import { useCreateCharge } from "./useCreateCharge";
+import { CHARGE_TYPES } from "../../utils/constants";
+
+function CreateChargeForm({ booking, onClose }) {
+  const { createCharge, isCreating } = useCreateCharge();
+
+  const { register, handleSubmit, formState } = useForm({
+    defaultValues: { type: "minibar", description: "", amount: "" },
+  });
+  const { errors } = formState;
+
+  function onSubmit(data) {
+    createCharge(
+      { booking, newCharge: { ...data, amount: Number(data.amount) } },
+      { onSuccess: () => onClose?.() },
+    );
+  }
+
+  return (
+    <Form
+      onSubmit={handleSubmit(onSubmit)}
+      type={onClose ? "modal" : "reguler"}
+    >
+      <FormRow label="Type">
+        <Select
+          id="type"
+          disabled={isCreating}
+          options={CHARGE_TYPES}
+          {...register("type")}
+        />
+      </FormRow>
+
+      <FormRow label="Description" error={errors?.description?.message}>
+        <Input
+          type="text"
+          id="description"
+          placeholder="e.g. 2 bottles of wine"
+          disabled={isCreating}
+          {...register("description", { required: "This field is required" })}
+        />
+      </FormRow>
+
+      <FormRow label="Amount" error={errors?.amount?.message}>
+        <Input
+          type="number"
+          step="0.01"
+          id="amount"
+          disabled={isCreating}
+          {...register("amount", {
+            required: "This field is required",
+            min: { value: 0.01, message: "Amount should be more than zero" },
+          })}
+        />
+      </FormRow>
+
+      <FormRow>
+        <Button
+          onClick={() => onClose?.()}
+          variation="secondary"
+          type="reset"
+          disabled={isCreating}
+        >
+          Cancel
+        </Button>
+        <Button disabled={isCreating}>Add charge</Button>
+      </FormRow>
+    </Form>
+  );
+}
+
+export default CreateChargeForm;
@@ -0,0 +1,160 @@
+import styled from "styled-components";
+import { format } from "date-fns";
+
+import Heading from "../../ui/Heading";
+
+import {
+  calcBalance,
+  calcExtraPrice,
+  formatCurrency,
+  getBookingExtras,
+} from "../../utils/helpers";
+import { CHARGE_TYPES, PAYMENT_METHODS } from "../../utils/constants";
+
+const StyledFolio = styled.section`
+  background-color: var(--color-grey-0);
+  border: 1px solid var(--color-grey-100);
+  border-radius: var(--border-radius-md);
+  padding: 2.4rem 4rem;
+
+  display: flex;
+  flex-direction: column;
+  gap: 1.6rem;
+`;
+
+const Lines = styled.ul`
+  font-size: 1.4rem;
+
+  & li {
+    display: grid;
+    grid-template-columns: 1fr 12rem;
+    gap: 1.6rem;
+    padding: 0.8rem 0;
+    border-bottom: 1px solid var(--color-grey-100);
+  }
+
+  & li span:last-child {
+    font-family: "Sono";
+    text-align: right;
+  }
+`;
+
+const Total = styled.li`
+  font-weight: 600;
+`;
+
+const Balance = styled.p`
+  display: flex;
+  justify-content: space-between;
+  padding: 1.6rem 3.2rem;
+  border-radius: var(--border-radius-sm);
+  font-weight: 600;
+
+  background-color: ${(props) =>
+    props.isSettled ? "var(--color-green-100)" : "var(--color-yellow-100)"};
+  color: ${(props) =>
+    props.isSettled ? "var(--color-green-700)" : "var(--color-yellow-700)"};
+
+  & span:last-child {
+    font-family: "Sono";
+  }
+`;
+
+const labelOf = (options, value) =>
+  options.find((option) => option.value === value)?.label ?? value;
+const formatDate = (date) => format(new Date(date), "MMM dd yyyy");
+
+// The final bill: what the stay cost, line by line, and what was paid for it
+function Folio({ booking, charges, payments, refunds }) {
+  const { numNights, cabinPrice, totalPrice } = booking;
+  const { amountPaid, balance } = calcBalance(booking, { payments, refunds });
+
+  return (
+    <StyledFolio>
+      <Heading as="h2">Folio</Heading>
+
+      <Lines>
+        <li>
+          <span>
+            {numNights} nights in Cabin {booking.cabins.name}
+          </span>
+          <span>{formatCurrency(cabinPrice)}</span>
+        </li>
+
+        {getBookingExtras(booking).map((extra) => (
+          <li key={extra.id ?? extra.name}>
+            <span>{extra.name}</span>
+            <span>{formatCurrency(calcExtraPrice(extra, booking))}</span>
+          </li>
+        ))}
+
+        {booking.loyaltyDiscount > 0 && (
+          <li>
+            <span>Loyalty discount ({booking.loyaltyDiscountPercentage}%)</span>
+            <span>{formatCurrency(-booking.loyaltyDiscount)}</span>
+          </li>
+        )}
+
+        {charges.map((charge) => (
+          <li key={`charge-${charge.id}`}>
+            <span>
+              {labelOf(CHARGE_TYPES, charge.type)}: {charge.description}
+            </span>
+            <span>{formatCurrency(charge.amount)}</span>
+          </li>
+        ))}
+
+        {refunds
+          .filter((refund) => refund.adjustsRevenue)
+          .map((refund) => (
+            <li key={`credit-${refund.id}`}>
+              <span>
+                Credit note {refund.creditNoteNumber}: {refund.reason}
+              </span>
+              <span>{formatCurrency(-refund.amount)}</span>
+            </li>
+          ))}
+
+        <Total>
+          <span>Total</span>
+          <span>{formatCurrency(totalPrice)}</span>
+        </Total>
+      </Lines>
+
+      <Lines>
+        {payments.map((payment) => (
+          <li key={`payment-${payment.id}`}>
+            <span>
+              {formatDate(payment.paidAt)}: paid by{" "}
+              {labelOf(PAYMENT_METHODS, payment.method).toLowerCase()}
+              {payment.reference && ` (${payment.reference})`}
+            </span>
+            <span>{formatCurrency(payment.amount)}</span>
+          </li>
+        ))}
+
+        {refunds.map((refund) => (
+          <li key={`refund-${refund.id}`}>
+            <span>
+              {formatDate(refund.refundedAt)}: refunded by{" "}
+              {labelOf(PAYMENT_METHODS, refund.method).toLowerCase()}
+            </span>
+            <span>{formatCurrency(-refund.amount)}</span>
+          </li>
+        ))}
+
+        <Total>
+          <span>Paid</span>
+          <span>{formatCurrency(amountPaid)}</span>
+        </Total>
+      </Lines>
+
+      <Balance isSettled={balance <= 0}>
+        <span>{balance > 0 ? "Balance due" : "Settled"}</span>
+        <span>{formatCurrency(Math.max(balance, 0))}</span>
+      </Balance>
+    </StyledFolio>
+  );
+}
+
+export default Folio;
@@ -0,0 +1,186 @@
+import { format } from "date-fns";
+import { useForm, useWatch } from "react-hook-form";
+
+import Button from "../../ui/Button";
+import Form from "../../ui/Form";
+import FormRow from "../../ui/FormRow";
+import Input from "../../ui/Input";
+import Select from "../../ui/Select";
+import Checkbox from "../../ui/Checkbox";
+import FileInput from "../../ui/FileInput";
+import CountryPicker from "../../ui/CountryPicker";
+
+import { useSaveGuestDocument } from "./useSaveGuestDocument";
+import { DOCUMENT_TYPES } from "../../utils/constants";
+import { getCountryName, toCountryCode } from "../../utils/countries";
+
+// guestNumber 1 is the guest who booked, so their name and country are filled in already. Only the other guests can be minors
+function GuestDocumentForm({
+  booking,
+  guestNumber,
+  documentToEdit = {},
+  onClose,
+}) {
+  const { saveGuestDocument, isSaving } = useSaveGuestDocument();
+  const isBooker = guestNumber === 1;
+
+  const { register, handleSubmit, setValue, control, formState } = useForm({
+    defaultValues: {
+      fullName:
+        documentToEdit.fullName ?? (isBooker ? booking.guests.fullName : ""),
+      isMinor: documentToEdit.isMinor ?? false,
+      documentType: documentToEdit.documentType ?? "passport",
+      documentNumber: documentToEdit.documentNumber ?? "",
+      expiryDate: documentToEdit.expiryDate ?? "",
+      issuingCountry: getCountryName(
+        documentToEdit.issuingCountry ??
+          (isBooker ? booking.guests.nationality : ""),
+      ),
+    },
+  });
+  const { errors } = formState;
+  const [isMinor, issuingCountry] = useWatch({
+    control,
+    name: ["isMinor", "issuingCountry"],
+  });
+
+  function onSubmit(data) {
+    const newDocument = isMinor
+      ? {
+          guestNumber,
+          fullName: data.fullName,
+          isMinor: true,
+          documentType: null,
+          documentNumber: null,
+          expiryDate: null,
+          issuingCountry: null,
+          photoPath: documentToEdit.photoPath,
+        }
+      : {
+          guestNumber,
+          fullName: data.fullName,
+          isMinor: false,
+          documentType: data.documentType,
+          documentNumber: data.documentNumber,
+          expiryDate: data.expiryDate,
+          issuingCountry: toCountryCode(data.issuingCountry),
+          photoPath: documentToEdit.photoPath,
+          photo: data.photo?.[0],
+        };
+
+    saveGuestDocument(
+      { booking, newDocument },
+      { onSuccess: () => onClose?.() },
+    );
+  }
+
+  return (
+    <Form
+      onSubmit={handleSubmit(onSubmit)}
+      type={onClose ? "modal" : "reguler"}
+    >
+      <FormRow label="Full name" error={errors?.fullName?.message}>
+        <Input
+          type="text"
+          id="fullName"
+          disabled={isSaving}
+          {...register("fullName", { required: "This field is required" })}
+        />
+      </FormRow>
+
+      {!isBooker && (
+        <FormRow label="Minor">
+          <Checkbox
+            id="isMinor"
+            checked={isMinor}
+            disabled={isSaving}
+            onChange={(event) => setValue("isMinor", event.target.checked)}
+          >
+            Under 18, no ID document needed
+          </Checkbox>
+        </FormRow>
+      )}
+
+      {!isMinor && (
+        <>
+          <FormRow label="Document type">
+            <Select
+              id="documentType"
+              disabled={isSaving}
+              options={DOCUMENT_TYPES}
+              {...register("documentType")}
+            />
+          </FormRow>
+
+          <FormRow
+            label="Document number"
+            error={errors?.documentNumber?.message}
+          >
+            <Input
+              type="text"
+              id="documentNumber"
+              disabled={isSaving}
+              {...register("documentNumber", {
+                required: "This field is required",
+              })}
+            />
+          </FormRow>
+
+          <FormRow label="Expiry date" error={errors?.expiryDate?.message}>
+            <Input
+              type="date"
+              id="expiryDate"
+              disabled={isSaving}
+              {...register("expiryDate", {
+                required: "This field is required",
+                validate: (value) =>
+                  value >= format(new Date(), "yyyy-MM-dd") ||
+                  "This document has expired",
+              })}
+            />
+          </FormRow>
+
+          <FormRow
+            label="Issuing country"
+            error={errors?.issuingCountry?.message}
+          >
+            <CountryPicker
+              id="issuingCountry"
+              country={issuingCountry}
+              disabled={isSaving}
+              {...register("issuingCountry", {
+                required: "This field is required",
+                validate: (value) =>
+                  Boolean(toCountryCode(value)) ||
+                  "Please choose a country from the list",
+              })}
+            />
+          </FormRow>
+
+          <FormRow label="Photo (optional)">
+            <FileInput
+              id="photo"
+              accept="image/*"
+              disabled={isSaving}
+              {...register("photo")}
+            />
+          </FormRow>
+        </>
+      )}
+
+      <FormRow>
+        <Button
+          onClick={() => onClose?.()}
+          variation="secondary"
+          type="reset"
+          disabled={isSaving}
+        >
+          Cancel
+        </Button>
+        <Button disabled={isSaving}>Save document</Button>
+      </FormRow>
+    </Form>
+  );
+}
+
+export default GuestDocumentForm;
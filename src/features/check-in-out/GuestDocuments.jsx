@@ -0,0 +1,116 @@
+import styled from "styled-components";
+
+import Heading from "../../ui/Heading";
+import Button from "../../ui/Button";
+import Modal from "../../ui/Modal";
+import Tag from "../../ui/Tag";
+import GuestDocumentForm from "./GuestDocumentForm";
+
+import { useDocumentPhoto } from "./useDocumentPhoto";
+import { describeDocument } from "../../utils/helpers";
+
+const StyledGuestDocuments = styled.div`
+  /* Box */
+  background-color: var(--color-grey-0);
+  border: 1px solid var(--color-grey-100);
+  border-radius: var(--border-radius-md);
+  padding: 2.4rem 4rem;
+
+  display: flex;
+  flex-direction: column;
+  gap: 1.6rem;
+`;
+
+const List = styled.ul`
+  display: flex;
+  flex-direction: column;
+`;
+
+const Item = styled.li`
+  display: grid;
+  grid-template-columns: 8rem 1fr 2fr auto;
+  gap: 1.6rem;
+  align-items: center;
+  padding: 0.8rem 0;
+  font-size: 1.4rem;
+
+  &:not(:last-child) {
+    border-bottom: 1px solid var(--color-grey-100);
+  }
+
+  & > div {
+    display: flex;
+    gap: 0.8rem;
+  }
+`;
+
+// One line per guest of the booking, with the document captured for them or a button to add it
+function GuestDocuments({ booking, documents }) {
+  const { openPhoto, isOpening } = useDocumentPhoto();
+  const guestNumbers = Array.from(
+    { length: booking.numGuests },
+    (_, i) => i + 1,
+  );
+
+  return (
+    <StyledGuestDocuments>
+      <Heading as="h2">ID documents</Heading>
+
+      <Modal>
+        <List>
+          {guestNumbers.map((guestNumber) => {
+            const document = documents.find(
+              (document) => document.guestNumber === guestNumber,
+            );
+
+            return (
+              <Item key={guestNumber}>
+                <span>Guest {guestNumber}</span>
+
+                {document ? (
+                  <>
+                    <span>{document.fullName}</span>
+                    <span>{describeDocument(document)}</span>
+                  </>
+                ) : (
+                  <>
+                    <Tag type="red">Missing</Tag>
+                    <span></span>
+                  </>
+                )}
+
+                <div>
+                  {document?.photoPath && (
+                    <Button
+                      size="small"
+                      variation="secondary"
+                      disabled={isOpening}
+                      onClick={() => openPhoto(document.photoPath)}
+                    >
+                      Photo
+                    </Button>
+                  )}
+                  <Modal.Open opens={`document-${guestNumber}`}>
+                    <Button size="small" variation="secondary">
+                      {document ? "Edit" : "Add document"}
+                    </Button>
+                  </Modal.Open>
+                </div>
+
+                <Modal.Window name={`document-${guestNumber}`}>
+                  <GuestDocumentForm
+                    booking={booking}
+                    guestNumber={guestNumber}
+                    documentToEdit={document}
+                  />
+                </Modal.Window>
+              </Item>
+            );
+          })}
+        </List>
+      </Modal>
+    </StyledGuestDocuments>
+  );
+}
+
+export default GuestDocuments;
@@ -0,0 +1,156 @@
+import styled from "styled-components";
+import { format } from "date-fns";
+
+import Button from "../../ui/Button";
+import ButtonGroup from "../../ui/ButtonGroup";
+import Heading from "../../ui/Heading";
+import Spinner from "../../ui/Spinner";
+import Empty from "../../ui/Empty";
+import BookingSignature from "../bookings/BookingSignature";
+
+import { useMoveBack } from "../../hooks/useMoveBack";
+import { useBooking } from "../bookings/useBooking";
+import { useSettings } from "../settings/useSetting";
+import { useGuestDocuments } from "./useGuestDocuments";
+import { describeDocument } from "../../utils/helpers";
+import { getCountryName } from "../../utils/countries";
+
+const StyledRegistrationCard = styled.main`
+  max-width: 80rem;
+  margin: 4.8rem auto;
+  padding: 4.8rem;
+  background-color: var(--color-grey-0);
+  border: 1px solid var(--color-grey-100);
+  border-radius: var(--border-radius-md);
+  display: flex;
+  flex-direction: column;
+  gap: 3.2rem;
+
+  /* Only the card itself ends up on paper */
+  @media print {
+    margin: 0;
+    border: none;
+
+    & button {
+      display: none;
+    }
+  }
+`;
+
+const Header = styled.header`
+  display: flex;
+  justify-content: space-between;
+  align-items: flex-start;
+
+  & p {
+    color: var(--color-grey-500);
+  }
+`;
+
+const Details = styled.dl`
+  display: grid;
+  grid-template-columns: 16rem 1fr;
+  row-gap: 0.8rem;
+
+  & dt {
+    font-weight: 500;
+  }
+`;
+
+const Documents = styled.ul`
+  display: flex;
+  flex-direction: column;
+  gap: 0.4rem;
+`;
+
+const Rules = styled.p`
+  color: var(--color-grey-600);
+`;
+
+const formatDate = (date) => format(new Date(date), "MMM dd yyyy");
+
+function RegistrationCard() {
+  const moveBack = useMoveBack();
+  const { booking, isPending } = useBooking();
+  const { settings, isPending: isLoadingSettings } = useSettings();
+  const { documents, isPending: isLoadingDocuments } = useGuestDocuments(
+    booking?.id,
+  );
+
+  if (isPending || isLoadingSettings) return <Spinner />;
+  if (!booking) return <Empty resource="booking" />;
+  if (isLoadingDocuments) return <Spinner />;
+
+  const {
+    id,
+    startDate,
+    endDate,
+    numNights,
+    numGuests,
+    guests: guest,
+    cabins: cabin,
+  } = booking;
+  const propertyName = settings.propertyName || "The Wild Oasis";
+
+  return (
+    <StyledRegistrationCard>
+      <Header>
+        <div>
+          <Heading as="h1">Registration card</Heading>
+          <p>{propertyName}</p>
+          {settings.propertyAddress && <p>{settings.propertyAddress}</p>}
+        </div>
+        <div>
+          <Heading as="h3">Booking #{id}</Heading>
+          <p>
+            {formatDate(startDate)} &mdash; {formatDate(endDate)}
+          </p>
+        </div>
+      </Header>
+
+      <Details>
+        <dt>Guest</dt>
+        <dd>{guest.fullName}</dd>
+        <dt>Email</dt>
+        <dd>{guest.email}</dd>
+        <dt>Nationality</dt>
+        <dd>{getCountryName(guest.nationality)}</dd>
+        <dt>National ID</dt>
+        <dd>{guest.nationalID}</dd>
+        <dt>Stay</dt>
+        <dd>
+          {numNights} nights in Cabin {cabin.name}, {numGuests}{" "}
+          {numGuests > 1 ? "guests" : "guest"}
+        </dd>
+        <dt>ID documents</dt>
+        <dd>
+          <Documents>
+            {documents.map((document) => (
+              <li key={document.id}>
+                {document.guestNumber}. {document.fullName}:{" "}
+                {describeDocument(document)}
+              </li>
+            ))}
+            {!documents.length && <li>None recorded yet</li>}
+          </Documents>
+        </dd>
+      </Details>
+
+      <Rules>
+        By signing, I confirm that the details above are correct and that I
+        accept the house rules of {propertyName} for all guests of this booking.
+      </Rules>
+
+      <BookingSignature booking={booking} />
+
+      <ButtonGroup>
+        <Button variation="secondary" onClick={moveBack}>
+          Back
+        </Button>
+        <Button onClick={() => window.print()}>Print</Button>
+      </ButtonGroup>
+    </StyledRegistrationCard>
+  );
+}
+
+export default RegistrationCard;
@@ -3,11 +3,16 @@ import Tag from "../../ui/Tag";
 import { Flag } from "../../ui/Flag";
 import Button from "../../ui/Button";
 import { Link } from "react-router";
+import { HiOutlineDocumentArrowDown } from "react-icons/hi2";
 import CheckoutButton from "./CheckoutButton";
+import ButtonIcon from "../../ui/ButtonIcon";
+import { useDownloadInvoice } from "../invoices/useDownloadInvoice";
+import GuestFlagTags from "../guests/GuestFlagTags";
+import GuestLoyaltyTag from "../guests/GuestLoyaltyTag";
 
 const StyledTodayItem = styled.li`
   display: grid;
-  grid-template-columns: 9rem 2rem 1fr 7rem 9rem;
+  grid-template-columns: 9rem 2rem 1fr 7rem 9rem 3.4rem;
   gap: 1.2rem;
   align-items: center;
 
@@ -22,17 +27,38 @@ const StyledTodayItem = styled.li`
 
 const Guest = styled.div`
   font-weight: 500;
+  display: flex;
+  align-items: center;
+  gap: 0.8rem;
+`;
+
+// Spans the whole row, so the front desk can't miss it
+const Alert = styled.p`
+  grid-column: 1 / -1;
+  padding: 0.4rem 1.2rem;
+  border-radius: var(--border-radius-sm);
+  font-size: 1.2rem;
+  font-weight: 500;
+  color: var(--color-${(props) => props.type}-700);
+  background-color: var(--color-${(props) => props.type}-100);
 `;
 
 function TodayItem({ activity }) {
-  const { id, status, guests, numNights } = activity;
+  const { id, status, guestId, guests, numNights } = activity;
+  const { downloadInvoice, isDownloading } = useDownloadInvoice();
 
   return (
     <StyledTodayItem>
       {status === "unconfirmed" && <Tag type="green">Arriving</Tag>}
       {status === "checked-in" && <Tag type="blue">Departing</Tag>}
-      <Flag src={guests.countryFlag} alt={`Flag of ${guests.country}`} />
-      <Guest>{guests.fullName}</Guest>
+      {/* Keeps its grid column when the country is unknown */}
+      <span>
+        <Flag country={guests.nationality} />
+      </span>
+      <Guest>
+        {guests.fullName} <GuestLoyaltyTag guestId={guestId} />
+        <GuestFlagTags guest={guests} />
+      </Guest>
       <div>{numNights}</div>
 
       {status === "unconfirmed" && (
@@ -48,6 +74,26 @@ function TodayItem({ activity }) {
       {status === "checked-in" && (
         <CheckoutButton bookingId={id}></CheckoutButton>
       )}
+
+      {/* Guests usually ask for the invoice when they leave */}
+      {status === "checked-in" ? (
+        <ButtonIcon
+          title="Download invoice"
+          onClick={() => downloadInvoice(id)}
+          disabled={isDownloading}
+        >
+          <HiOutlineDocumentArrowDown />
+        </ButtonIcon>
+      ) : (
+        <span></span>
+      )}
+
+      {(guests.isDoNotRent || guests.alertNote) && (
+        <Alert type={guests.isDoNotRent ? "red" : "yellow"}>
+          {guests.isDoNotRent && "Do not rent. "}
+          {guests.alertNote}
+        </Alert>
+      )}
     </StyledTodayItem>
   );
 }
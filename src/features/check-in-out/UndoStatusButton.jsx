@@ -0,0 +1,27 @@
+import Button from "../../ui/Button";
+
+import { useUser } from "../authentication/useUser";
+import { useBookingHistory } from "../bookings/useBookingHistory";
+import { useUndoBookingStatus } from "./useUndoBookingStatus";
+import { canUndo } from "../../utils/bookingLifecycle";
+
+// Admins can take back the last check in or check out at any time, not only while the undo toast is shown
+function UndoStatusButton({ booking }) {
+  const { isAdmin } = useUser();
+  const { history } = useBookingHistory(booking.id);
+  const { undoStatus, isUndoing } = useUndoBookingStatus();
+
+  if (!isAdmin || !canUndo(history?.at(-1), booking.status)) return null;
+
+  return (
+    <Button
+      variation="secondary"
+      disabled={isUndoing}
+      onClick={() => undoStatus(booking.id)}
+    >
+      {booking.status === "checked-in" ? "Undo check in" : "Undo check out"}
+    </Button>
+  );
+}
+
+export default UndoStatusButton;
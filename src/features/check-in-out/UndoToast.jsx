@@ -0,0 +1,32 @@
+import styled from "styled-components";
+import toast from "react-hot-toast";
+
+import ButtonText from "../../ui/ButtonText";
+import { useUndoBookingStatus } from "./useUndoBookingStatus";
+
+const StyledUndoToast = styled.span`
+  display: flex;
+  align-items: center;
+  gap: 1.6rem;
+`;
+
+// Rendered inside the Toaster, so the undo keeps working after the page that did the check in is gone
+function UndoToast({ toastId, message, bookingId }) {
+  const { undoStatus, isUndoing } = useUndoBookingStatus();
+
+  return (
+    <StyledUndoToast>
+      {message}
+      <ButtonText
+        disabled={isUndoing}
+        onClick={() =>
+          undoStatus(bookingId, { onSettled: () => toast.dismiss(toastId) })
+        }
+      >
+        Undo
+      </ButtonText>
+    </StyledUndoToast>
+  );
+}
+
+export default UndoToast;
@@ -0,0 +1,12 @@
+import { createElement } from "react";
+import toast from "react-hot-toast";
+
+import UndoToast from "./UndoToast";
+import { UNDO_TOAST_DURATION } from "../../utils/constants";
+
+export function showUndoToast(message, bookingId) {
+  toast.success(
+    (t) => createElement(UndoToast, { toastId: t.id, message, bookingId }),
+    { duration: UNDO_TOAST_DURATION },
+  );
+}
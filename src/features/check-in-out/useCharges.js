@@ -0,0 +1,12 @@
+import { useQuery } from "@tanstack/react-query";
+import { getCharges } from "../../services/apiFolio";
+
+export function useCharges(bookingId) {
+  const { isPending, data: charges } = useQuery({
+    queryKey: ["bookings", String(bookingId), "charges"],
+    queryFn: () => getCharges(bookingId),
+    enabled: Boolean(bookingId),
+  });
+
+  return { isPending, charges };
+}
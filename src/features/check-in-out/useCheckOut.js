@@ -1,22 +1,25 @@
 import { useMutation, useQueryClient } from "@tanstack/react-query";
-import { updateBooking } from "../../services/apiBookings";
+import { checkOutBooking } from "../../services/apiFolio";
 import toast from "react-hot-toast";
+import { useNavigate } from "react-router";
+import { showUndoToast } from "./showUndoToast";
 
 export function useCheckOut() {
   const queryClient = useQueryClient();
+  const navigate = useNavigate();
 
   const { mutate: checkout, isPending: isCheckingOut } = useMutation({
-    mutationFn: (bookingId) =>
-      updateBooking(bookingId, {
-        status: "checked-out",
-      }),
+    // overrideReason is only needed when the balance is not settled
+    mutationFn: ({ bookingId, overrideReason }) =>
+      checkOutBooking(bookingId, { overrideReason }),
     onSuccess: (data) => {
-      toast.success(`Booking #${data.id} Succefully check-out`);
+      showUndoToast(`Booking #${data.id} Succefully check-out`, data.id);
       queryClient.invalidateQueries({ active: true });
+      navigate("/");
     },
     onError: (error) => {
       console.log(error);
-      toast.error(`Error while checking in `);
+      toast.error(error.message);
     },
   });
 
@@ -1,26 +1,50 @@
 import { useMutation, useQueryClient } from "@tanstack/react-query";
-import { updateBooking } from "../../services/apiBookings";
+import {
+  assertStatusChange,
+  changeBookingStatus,
+} from "../../services/apiBookings";
+import { createPayment, syncBookingIsPaid } from "../../services/apiPayments";
+import { assertDocumentsCaptured } from "../../services/apiGuestDocuments";
+import { saveSignature } from "../../services/apiSignatures";
 import toast from "react-hot-toast";
 import { useNavigate } from "react-router";
+import { showUndoToast } from "./showUndoToast";
 
 export function useCheckin() {
   const queryClient = useQueryClient();
   const navigate = useNavigate();
 
   const { mutate: checkin, isPending: isCheckingIn } = useMutation({
-    mutationFn: ({ bookingId, breakfast }) =>
-      updateBooking(bookingId, {
-        status: "checked-in",
-        isPaid: true,
-        ...breakfast,
-      }),
+    // payment is whatever was still due, the balance is always settled at check in. Every guest needs an ID document, and the signed house rules first
+    mutationFn: async ({
+      bookingId,
+      numGuests,
+      signature,
+      extras,
+      payment,
+    }) => {
+      await assertStatusChange(bookingId, "checked-in");
+      await assertDocumentsCaptured({ id: bookingId, numGuests });
+      if (!signature)
+        throw new Error("The guest has to sign the house rules first");
+      await saveSignature(bookingId, signature);
+
+      // The payment goes in first, so a booking is never checked in without the money that was taken for it
+      if (payment) await createPayment(payment);
+
+      const data = await changeBookingStatus(bookingId, "checked-in", extras);
+      // Extras added at check in change the total, so isPaid is derived again from the ledger
+      await syncBookingIsPaid(bookingId);
+
+      return data;
+    },
     onSuccess: (data) => {
-      toast.success(`Booking #${data.id} Succefully check-in`);
+      showUndoToast(`Booking #${data.id} Succefully check-in`, data.id);
       queryClient.invalidateQueries({ active: true });
       navigate("/");
     },
-    onError: () => {
-      toast.error(`Error while checking in `);
+    onError: (error) => {
+      toast.error(error.message);
     },
   });
 
@@ -0,0 +1,18 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { createCharge as createChargeApi } from "../../services/apiFolio";
+
+export function useCreateCharge() {
+  const queryClient = useQueryClient();
+
+  const { mutate: createCharge, isPending: isCreating } = useMutation({
+    mutationFn: ({ booking, newCharge }) => createChargeApi(booking, newCharge),
+    onSuccess: () => {
+      toast.success("Charge Succefully added");
+      queryClient.invalidateQueries({ queryKey: ["bookings"] });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { createCharge, isCreating };
+}
@@ -0,0 +1,14 @@
+import { useMutation } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { getDocumentPhotoUrl } from "../../services/apiGuestDocuments";
+
+// The bucket is private, so every view asks for a short lived link
+export function useDocumentPhoto() {
+  const { mutate: openPhoto, isPending: isOpening } = useMutation({
+    mutationFn: getDocumentPhotoUrl,
+    onSuccess: (url) => window.open(url, "_blank", "noopener"),
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { openPhoto, isOpening };
+}
@@ -0,0 +1,12 @@
+import { useQuery } from "@tanstack/react-query";
+import { getGuestDocuments } from "../../services/apiGuestDocuments";
+
+export function useGuestDocuments(bookingId) {
+  const { isPending, data: documents } = useQuery({
+    queryKey: ["bookings", String(bookingId), "documents"],
+    queryFn: () => getGuestDocuments(bookingId),
+    enabled: Boolean(bookingId),
+  });
+
+  return { isPending, documents };
+}
@@ -0,0 +1,21 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { saveGuestDocument as saveGuestDocumentApi } from "../../services/apiGuestDocuments";
+
+export function useSaveGuestDocument() {
+  const queryClient = useQueryClient();
+
+  const { mutate: saveGuestDocument, isPending: isSaving } = useMutation({
+    mutationFn: ({ booking, newDocument }) =>
+      saveGuestDocumentApi(booking, newDocument),
+    onSuccess: (data) => {
+      toast.success(`Document of guest ${data.guestNumber} Succefully saved`);
+      queryClient.invalidateQueries({
+        queryKey: ["bookings", String(data.bookingId), "documents"],
+      });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { saveGuestDocument, isSaving };
+}
@@ -0,0 +1,27 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { undoBookingStatus } from "../../services/apiBookings";
+import { syncBookingIsPaid } from "../../services/apiPayments";
+
+export function useUndoBookingStatus() {
+  const queryClient = useQueryClient();
+
+  const { mutate: undoStatus, isPending: isUndoing } = useMutation({
+    // A payment taken at check in is real money and stays, the restored total may change what it covers
+    mutationFn: async (id) => {
+      const data = await undoBookingStatus(id);
+      await syncBookingIsPaid(id);
+
+      return data;
+    },
+    onSuccess: (data) => {
+      toast.success(
+        `Booking #${data.id} is ${data.status.replace("-", " ")} again`,
+      );
+      queryClient.invalidateQueries({ active: true });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { undoStatus, isUndoing };
+}
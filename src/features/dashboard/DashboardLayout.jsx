@@ -1,6 +1,7 @@
 import styled from "styled-components";
 import { useRecentBooking } from "./useRecentBooking";
 import { useRecentStays } from "./useRecentStays";
+import { useRecentRefunds } from "./useRecentRefunds";
 import Spinner from "../../ui/Spinner";
 import Stats from "./Stats";
 import { useCabin } from "../cabins/useCabin";
@@ -24,20 +25,23 @@ function DashboardLayout() {
     numDays,
   } = useRecentStays();
   const { cabins, isPending: cabinLoading } = useCabin();
+  const { refunds, isPending: refundsLoading } = useRecentRefunds();
 
-  if (isPending || staysLoading || cabinLoading) return <Spinner />;
+  if (isPending || staysLoading || cabinLoading || refundsLoading)
+    return <Spinner />;
 
   return (
     <StyledDashboardLayout>
       <Stats
         bookings={bookings}
+        refunds={refunds}
         confirmedStays={confirmStays}
         numDays={numDays}
         cabinCount={cabins.length}
       />
       <Today />
       <DurationChart confirmedStays={confirmStays} />
-      <SalesChart bookings={bookings} numDays={numDays} />
+      <SalesChart bookings={bookings} refunds={refunds} numDays={numDays} />
     </StyledDashboardLayout>
   );
 }
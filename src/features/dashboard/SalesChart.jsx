@@ -12,6 +12,8 @@ import {
 } from "recharts";
 import { useDarkMode } from "../../context/UseDarkMode";
 import { eachDayOfInterval, format, isSameDay, subDays } from "date-fns";
+import { getBookingRevenue } from "../../utils/helpers";
+import { CANCELLED_STATUSES } from "../../utils/constants";
 
 const StyledSalesChart = styled(DashboardBox)`
   grid-column: 1 / -1;
@@ -57,7 +59,7 @@ const fakeData = [
 ];
 */
 
-function SalesChart({ bookings, numDays }) {
+function SalesChart({ bookings, refunds, numDays }) {
   const { isDarkMode } = useDarkMode();
 
   const allDates = eachDayOfInterval({
@@ -68,11 +70,16 @@ function SalesChart({ bookings, numDays }) {
   const data = allDates.map((date) => {
     return {
       label: format(date, "MMM dd"),
-      totalSales: bookings
-        .filter((booking) => isSameDay(date, new Date(booking.created_at)))
-        .reduce((acc, curr) => acc + curr.totalPrice, 0),
+      totalSales:
+        bookings
+          .filter((booking) => isSameDay(date, new Date(booking.created_at)))
+          .reduce((acc, curr) => acc + getBookingRevenue(curr), 0) -
+        refunds
+          .filter((refund) => isSameDay(date, new Date(refund.refundedAt)))
+          .reduce((acc, curr) => acc + curr.amount, 0),
       extrasSales: bookings
         .filter((booking) => isSameDay(date, new Date(booking.created_at)))
+        .filter((booking) => !CANCELLED_STATUSES.includes(booking.status))
         .reduce((acc, curr) => acc + curr.extrasPrice, 0),
     };
   });
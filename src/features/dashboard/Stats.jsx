@@ -5,19 +5,21 @@ import {
   HiOutlineChartBar,
 } from "react-icons/hi2";
 import Stat from "./Stat";
-import { formatCurrency } from "../../utils/helpers";
+import { formatCurrency, getBookingRevenue } from "../../utils/helpers";
 
-function Stats({ bookings, confirmedStays, numDays, cabinCount }) {
+function Stats({ bookings, refunds, confirmedStays, numDays, cabinCount }) {
   // 1.
   const numBookings = bookings.length;
 
-  // 2.
-  const sales = bookings.reduce((acc, cur) => acc + cur.totalPrice, 0);
+  // 2. Money given back in the same period is taken off
+  const sales =
+    bookings.reduce((acc, cur) => acc + getBookingRevenue(cur), 0) -
+    refunds.reduce((acc, cur) => acc + cur.amount, 0);
 
   // 3.
   const checkins = confirmedStays.length;
 
-  // 4.
+  // 4. Only guests that actually came, cancelled and no-show stays leave the cabin empty
   const occupation =
     confirmedStays.reduce((acc, curr) => acc + curr.numNights, 0) /
     (numDays * cabinCount);
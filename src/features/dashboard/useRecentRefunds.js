@@ -0,0 +1,21 @@
+import { useQuery } from "@tanstack/react-query";
+import { subDays } from "date-fns";
+import { useSearchParams } from "react-router";
+import { getRefundsAfterDate } from "../../services/apiPayments";
+
+export function useRecentRefunds() {
+  const [searchParams] = useSearchParams();
+
+  const numDays = !searchParams.get("last")
+    ? 7
+    : Number(searchParams.get("last"));
+
+  const queryDate = subDays(new Date(), numDays).toISOString();
+
+  const { isPending, data: refunds } = useQuery({
+    queryFn: () => getRefundsAfterDate(queryDate),
+    queryKey: ["refunds", `last-${numDays}`],
+  });
+
+  return { isPending, refunds };
+}
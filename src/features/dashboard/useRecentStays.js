@@ -17,6 +17,7 @@ export function useRecentStays() {
     queryKey: ["stays", `last-${numDays}`],
   });
 
+  // Cancelled and no-show bookings are left out, the guests never stayed
   const confirmStays = stays?.filter(
     (stay) => stay.status === "checked-in" || stay.status === "checked-out",
   );
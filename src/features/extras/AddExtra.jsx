@@ -0,0 +1,20 @@
+import Button from "../../ui/Button";
+import Modal from "../../ui/Modal";
+import CreateExtraForm from "./CreateExtraForm";
+
+function AddExtra() {
+  return (
+    <div>
+      <Modal>
+        <Modal.Open opens="extra-form">
+          <Button>Add new extra</Button>
+        </Modal.Open>
+        <Modal.Window name="extra-form">
+          <CreateExtraForm />
+        </Modal.Window>
+      </Modal>
+    </div>
+  );
+}
+
+export default AddExtra;
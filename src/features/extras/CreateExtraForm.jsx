@@ -0,0 +1,112 @@
+import { useForm, useWatch } from "react-hook-form";
+
+import Button from "../../ui/Button";
+import Checkbox from "../../ui/Checkbox";
+import Form from "../../ui/Form";
+import FormRow from "../../ui/FormRow";
+import Input from "../../ui/Input";
+import Select from "../../ui/Select";
+
+import { useCreateExtra } from "./useCreateExtra";
+import { useEditExtra } from "./useEditExtra";
+import { EXTRA_PRICING } from "../../utils/constants";
+
+function CreateExtraForm({ extraToEdit = {}, onClose }) {
+  const { id: editId, ...editValues } = extraToEdit;
+  const isEditSession = Boolean(editId);
+
+  const { register, handleSubmit, reset, setValue, control, formState } =
+    useForm({
+      defaultValues: isEditSession
+        ? editValues
+        : { name: "", price: "", pricing: "guest-night", isActive: true },
+    });
+  const { errors } = formState;
+  const isActive = useWatch({ control, name: "isActive" });
+
+  const { createExtra, isCreating } = useCreateExtra();
+  const { editExtra, isEditing } = useEditExtra();
+  const isWorking = isCreating || isEditing;
+
+  function onSubmit({ name, price, pricing, isActive }) {
+    const extra = { name, price: Number(price), pricing, isActive };
+
+    if (isEditSession)
+      editExtra(
+        { newExtraData: extra, id: editId },
+        { onSuccess: () => onClose?.() },
+      );
+    else
+      createExtra(extra, {
+        onSuccess: () => {
+          onClose?.();
+          reset();
+        },
+      });
+  }
+
+  return (
+    <Form
+      onSubmit={handleSubmit(onSubmit)}
+      type={onClose ? "modal" : "reguler"}
+    >
+      <FormRow label="Name" error={errors?.name?.message}>
+        <Input
+          type="text"
+          id="name"
+          disabled={isWorking}
+          {...register("name", { required: "This field is required" })}
+        />
+      </FormRow>
+
+      <FormRow label="Price" error={errors?.price?.message}>
+        <Input
+          type="number"
+          step="0.01"
+          id="price"
+          disabled={isWorking}
+          {...register("price", {
+            required: "This field is required",
+            min: { value: 0, message: "Price can't be negative" },
+          })}
+        />
+      </FormRow>
+
+      <FormRow label="Pricing">
+        <Select
+          id="pricing"
+          disabled={isWorking}
+          options={EXTRA_PRICING}
+          {...register("pricing")}
+        />
+      </FormRow>
+
+      <FormRow label="Available">
+        <Checkbox
+          id="isActive"
+          checked={isActive}
+          disabled={isWorking}
+          onChange={(event) => setValue("isActive", event.target.checked)}
+        >
+          Offer this extra on new bookings
+        </Checkbox>
+      </FormRow>
+
+      <FormRow>
+        <Button
+          onClick={() => onClose?.()}
+          variation="secondary"
+          type="reset"
+          disabled={isWorking}
+        >
+          Cancel
+        </Button>
+        <Button disabled={isWorking}>
+          {isEditSession ? "Edit extra" : "Create new extra"}
+        </Button>
+      </FormRow>
+    </Form>
+  );
+}
+
+export default CreateExtraForm;
@@ -0,0 +1,74 @@
+import styled from "styled-components";
+import { HiPencil, HiTrash } from "react-icons/hi2";
+
+import Table from "../../ui/Table";
+import Menus from "../../ui/Menus";
+import Modal from "../../ui/Modal";
+import Tag from "../../ui/Tag";
+import ConfirmDelete from "../../ui/ConfirmDelete";
+import CreateExtraForm from "./CreateExtraForm";
+
+import { useDeleteExtra } from "./useDeleteExtra";
+import { formatCurrency } from "../../utils/helpers";
+import { EXTRA_PRICING } from "../../utils/constants";
+
+const Name = styled.div`
+  font-size: 1.6rem;
+  font-weight: 600;
+  color: var(--color-grey-600);
+`;
+
+const Price = styled.div`
+  font-family: "Sono";
+  font-weight: 600;
+`;
+
+function ExtraRow({ extra }) {
+  const { id, name, price, pricing, isActive } = extra;
+  const { deleteExtra, isDeleting } = useDeleteExtra();
+
+  return (
+    <Table.Row>
+      <Name>{name}</Name>
+      <Price>{formatCurrency(price)}</Price>
+      <div>
+        {EXTRA_PRICING.find((option) => option.value === pricing)?.label}
+      </div>
+      <Tag type={isActive ? "green" : "silver"}>
+        {isActive ? "Available" : "Hidden"}
+      </Tag>
+
+      <div>
+        <Modal>
+          <Menus.Menu>
+            <Menus.Toggle id={id} />
+
+            <Menus.List id={id}>
+              <Modal.Open opens="edit">
+                <Menus.Button icon={<HiPencil />}>Edit</Menus.Button>
+              </Modal.Open>
+
+              <Modal.Open opens="delete">
+                <Menus.Button icon={<HiTrash />}>Delete</Menus.Button>
+              </Modal.Open>
+            </Menus.List>
+
+            <Modal.Window name="edit">
+              <CreateExtraForm extraToEdit={extra} />
+            </Modal.Window>
+
+            <Modal.Window name="delete">
+              <ConfirmDelete
+                resourceName="extra"
+                disabled={isDeleting}
+                onConfirm={() => deleteExtra(id)}
+              />
+            </Modal.Window>
+          </Menus.Menu>
+        </Modal>
+      </div>
+    </Table.Row>
+  );
+}
+
+export default ExtraRow;
@@ -0,0 +1,35 @@
+import Spinner from "../../ui/Spinner";
+import Empty from "../../ui/Empty";
+import Table from "../../ui/Table";
+import Menus from "../../ui/Menus";
+import ExtraRow from "./ExtraRow";
+
+import { useExtras } from "./useExtras";
+
+function ExtrasTable() {
+  const { isPending, extras } = useExtras();
+
+  if (isPending) return <Spinner />;
+  if (!extras.length) return <Empty resource="extras" />;
+
+  return (
+    <Menus>
+      <Table columns="2fr 1fr 1.6fr 1fr 3.2rem">
+        <Table.Header>
+          <div>Extra</div>
+          <div>Price</div>
+          <div>Pricing</div>
+          <div>Status</div>
+          <div></div>
+        </Table.Header>
+
+        <Table.Body
+          data={extras}
+          render={(extra) => <ExtraRow key={extra.id} extra={extra} />}
+        />
+      </Table>
+    </Menus>
+  );
+}
+
+export default ExtrasTable;
@@ -0,0 +1,18 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { createEditExtra } from "../../services/apiExtras";
+
+export function useCreateExtra() {
+  const queryClient = useQueryClient();
+
+  const { mutate: createExtra, isPending: isCreating } = useMutation({
+    mutationFn: (newExtra) => createEditExtra(newExtra),
+    onSuccess: () => {
+      toast.success("New extra Succefully created");
+      queryClient.invalidateQueries({ queryKey: ["extras"] });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { createExtra, isCreating };
+}
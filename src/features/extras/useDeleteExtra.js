@@ -0,0 +1,18 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { deleteExtra as deleteExtraApi } from "../../services/apiExtras";
+
+export function useDeleteExtra() {
+  const queryClient = useQueryClient();
+
+  const { mutate: deleteExtra, isPending: isDeleting } = useMutation({
+    mutationFn: (id) => deleteExtraApi(id),
+    onSuccess: () => {
+      toast.success("Extra Succefully deleted");
+      queryClient.invalidateQueries({ queryKey: ["extras"] });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { deleteExtra, isDeleting };
+}
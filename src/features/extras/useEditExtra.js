@@ -0,0 +1,18 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { createEditExtra } from "../../services/apiExtras";
+
+export function useEditExtra() {
+  const queryClient = useQueryClient();
+
+  const { mutate: editExtra, isPending: isEditing } = useMutation({
+    mutationFn: ({ newExtraData, id }) => createEditExtra(newExtraData, id),
+    onSuccess: () => {
+      toast.success("Extra Succefully edited");
+      queryClient.invalidateQueries({ queryKey: ["extras"] });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { editExtra, isEditing };
+}
@@ -0,0 +1,11 @@
+import { useQuery } from "@tanstack/react-query";
+import { getExtras } from "../../services/apiExtras";
+
+export function useExtras() {
+  const { isPending, data: extras } = useQuery({
+    queryKey: ["extras"],
+    queryFn: getExtras,
+  });
+
+  return { isPending, extras };
+}
@@ -0,0 +1,49 @@
+import styled from "styled-components";
+import Button from "../../ui/Button";
+import Heading from "../../ui/Heading";
+
+const StyledConfirmErase = styled.div`
+  width: 44rem;
+  display: flex;
+  flex-direction: column;
+  gap: 1.2rem;
+
+  & p {
+    color: var(--color-grey-500);
+    margin-bottom: 1.2rem;
+  }
+
+  & div {
+    display: flex;
+    justify-content: flex-end;
+    gap: 1.2rem;
+  }
+`;
+
+function ConfirmEraseGuest({ guestName, onConfirm, disabled, onClose }) {
+  return (
+    <StyledConfirmErase>
+      <Heading as="h3">Erase personal data</Heading>
+      <p>
+        The name, email, nationality, national ID and notes of {guestName} will
+        be erased. Their bookings and payments are kept anonymously for the
+        financial reports. This action cannot be undone.
+      </p>
+
+      <div>
+        <Button variation="secondary" disabled={disabled} onClick={onClose}>
+          Cancel
+        </Button>
+        <Button
+          variation="danger"
+          disabled={disabled}
+          onClick={() => onConfirm({ onSuccess: onClose })}
+        >
+          Erase
+        </Button>
+      </div>
+    </StyledConfirmErase>
+  );
+}
+
+export default ConfirmEraseGuest;
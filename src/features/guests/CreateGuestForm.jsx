@@ -0,0 +1,160 @@
+import { useForm, useWatch } from "react-hook-form";
+
+import Button from "../../ui/Button";
+import Form from "../../ui/Form";
+import FormRow from "../../ui/FormRow";
+import Input from "../../ui/Input";
+import Checkbox from "../../ui/Checkbox";
+import Textarea from "../../ui/Textarea";
+import CountryPicker from "../../ui/CountryPicker";
+
+import { useCreateGuest } from "./useCreateGuest";
+import { useEditGuest } from "./useEditGuest";
+import { useUser } from "../authentication/useUser";
+import { getCountryName, toCountryCode } from "../../utils/countries";
+
+function CreateGuestForm({ guestToEdit = {}, onClose }) {
+  const { id: editId } = guestToEdit;
+  const isEditSession = Boolean(editId);
+
+  const { register, handleSubmit, reset, setValue, control, formState } =
+    useForm({
+      defaultValues: {
+        fullName: guestToEdit.fullName ?? "",
+        email: guestToEdit.email ?? "",
+        nationality: getCountryName(guestToEdit.nationality),
+        nationalID: guestToEdit.nationalID ?? "",
+        isVip: guestToEdit.isVip ?? false,
+        isDoNotRent: guestToEdit.isDoNotRent ?? false,
+        alertNote: guestToEdit.alertNote ?? "",
+      },
+    });
+  const { errors } = formState;
+  const [nationality, isVip, isDoNotRent] = useWatch({
+    control,
+    name: ["nationality", "isVip", "isDoNotRent"],
+  });
+
+  const { isAdmin } = useUser();
+  const { createGuest, isCreating } = useCreateGuest();
+  const { editGuest, isEditing } = useEditGuest();
+  const isWorking = isCreating || isEditing;
+
+  function onSubmit(formData) {
+    const data = {
+      ...formData,
+      nationality: toCountryCode(formData.nationality),
+    };
+
+    if (isEditSession)
+      editGuest(
+        { newGuestData: data, id: editId },
+        { onSuccess: () => onClose?.() },
+      );
+    else
+      createGuest(data, {
+        onSuccess: () => {
+          reset();
+          onClose?.();
+        },
+      });
+  }
+
+  return (
+    <Form
+      onSubmit={handleSubmit(onSubmit)}
+      type={onClose ? "modal" : "reguler"}
+    >
+      <FormRow label="Full name" error={errors?.fullName?.message}>
+        <Input
+          type="text"
+          id="fullName"
+          disabled={isWorking}
+          {...register("fullName", { required: "This field is required" })}
+        />
+      </FormRow>
+
+      <FormRow label="Email address" error={errors?.email?.message}>
+        <Input
+          type="email"
+          id="email"
+          disabled={isWorking}
+          {...register("email", {
+            required: "This field is required",
+            pattern: {
+              value: /\S+@\S+\.\S+/,
+              message: "Please provide a valid email address",
+            },
+          })}
+        />
+      </FormRow>
+
+      <FormRow label="Nationality" error={errors?.nationality?.message}>
+        <CountryPicker
+          id="nationality"
+          country={nationality}
+          disabled={isWorking}
+          {...register("nationality", {
+            required: "This field is required",
+            validate: (value) =>
+              Boolean(toCountryCode(value)) ||
+              "Please choose a country from the list",
+          })}
+        />
+      </FormRow>
+
+      <FormRow label="National ID" error={errors?.nationalID?.message}>
+        <Input
+          type="text"
+          id="nationalID"
+          disabled={isWorking}
+          {...register("nationalID", { required: "This field is required" })}
+        />
+      </FormRow>
+
+      <FormRow label="VIP">
+        <Checkbox
+          id="isVip"
+          checked={isVip}
+          disabled={isWorking}
+          onChange={(event) => setValue("isVip", event.target.checked)}
+        >
+          Returning or important guest, give them extra attention
+        </Checkbox>
+      </FormRow>
+
+      <FormRow label="Do not rent">
+        <Checkbox
+          id="isDoNotRent"
+          checked={isDoNotRent}
+          disabled={isWorking || !isAdmin}
+          onChange={(event) => setValue("isDoNotRent", event.target.checked)}
+        >
+          Only admins can book this guest
+          {!isAdmin && ", and only they can change this"}
+        </Checkbox>
+      </FormRow>
+
+      <FormRow label="Alert for the front desk">
+        <Textarea
+          id="alertNote"
+          placeholder="e.g. damaged cabin 004 in 2025"
+          disabled={isWorking}
+          {...register("alertNote")}
+        />
+      </FormRow>
+
+      <FormRow>
+        {/* type is an HTML attribute! */}
+        <Button onClick={() => onClose?.()} variation="secondary" type="reset">
+          Cancel
+        </Button>
+        <Button disabled={isWorking}>
+          {isEditSession ? "Save changes" : "Create guest"}
+        </Button>
+      </FormRow>
+    </Form>
+  );
+}
+
+export default CreateGuestForm;
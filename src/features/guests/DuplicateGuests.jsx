@@ -0,0 +1,83 @@
+import styled from "styled-components";
+
+import Table from "../../ui/Table";
+import Tag from "../../ui/Tag";
+import Empty from "../../ui/Empty";
+import Spinner from "../../ui/Spinner";
+import Button from "../../ui/Button";
+import Modal from "../../ui/Modal";
+import MergeGuestsForm from "./MergeGuestsForm";
+
+import { useDuplicateGuests } from "./useDuplicateGuests";
+
+const Stacked = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.2rem;
+
+  & span:first-child {
+    font-weight: 500;
+  }
+
+  & span:not(:first-child) {
+    color: var(--color-grey-500);
+    font-size: 1.2rem;
+  }
+`;
+
+function GuestSummary({ guest }) {
+  return (
+    <Stacked>
+      <span>
+        {guest.fullName} (#{guest.id})
+      </span>
+      <span>{guest.email}</span>
+      <span>National ID {guest.nationalID}</span>
+    </Stacked>
+  );
+}
+
+function DuplicateGuests() {
+  const { duplicates, isPending } = useDuplicateGuests();
+
+  if (isPending) return <Spinner />;
+  if (!duplicates.length) return <Empty resource="duplicate guests" />;
+
+  return (
+    <Table columns="2fr 2fr 1.6fr 1fr">
+      <Table.Header>
+        <div>Guest</div>
+        <div>Possible duplicate</div>
+        <div>Match</div>
+        <div></div>
+      </Table.Header>
+
+      <Table.Body
+        data={duplicates}
+        render={({ guestA, guestB, score, reasons }) => (
+          <Table.Row key={`${guestA.id}-${guestB.id}`}>
+            <GuestSummary guest={guestA} />
+            <GuestSummary guest={guestB} />
+            <Stacked>
+              <Tag type={score >= 70 ? "red" : "yellow"}>{score}%</Tag>
+              <span>{reasons.join(", ")}</span>
+            </Stacked>
+
+            <Modal>
+              <Modal.Open opens="merge">
+                <Button size="small" variation="secondary">
+                  Merge
+                </Button>
+              </Modal.Open>
+              <Modal.Window name="merge">
+                <MergeGuestsForm guestA={guestA} guestB={guestB} />
+              </Modal.Window>
+            </Modal>
+          </Table.Row>
+        )}
+      />
+    </Table>
+  );
+}
+
+export default DuplicateGuests;
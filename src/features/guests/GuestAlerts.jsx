@@ -0,0 +1,63 @@
+import styled from "styled-components";
+import {
+  HiOutlineExclamationTriangle,
+  HiOutlineNoSymbol,
+  HiOutlineStar,
+} from "react-icons/hi2";
+
+const StyledGuestAlerts = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.8rem;
+`;
+
+const Banner = styled.p`
+  display: flex;
+  align-items: center;
+  gap: 1.2rem;
+  padding: 1.2rem 2.4rem;
+  border-radius: var(--border-radius-sm);
+  font-weight: 500;
+  white-space: pre-line;
+
+  color: var(--color-${(props) => props.type}-700);
+  background-color: var(--color-${(props) => props.type}-100);
+
+  & svg {
+    flex-shrink: 0;
+    width: 2.4rem;
+    height: 2.4rem;
+  }
+`;
+
+// What the front desk has to know about a guest before handing over the keys
+function GuestAlerts({ guest }) {
+  const { fullName, isVip, isDoNotRent, alertNote } = guest;
+
+  if (!isVip && !isDoNotRent && !alertNote) return null;
+
+  return (
+    <StyledGuestAlerts>
+      {isDoNotRent && (
+        <Banner type="red">
+          <HiOutlineNoSymbol />
+          {fullName} is flagged as do not rent
+        </Banner>
+      )}
+      {isVip && (
+        <Banner type="indigo">
+          <HiOutlineStar />
+          {fullName} is a VIP guest
+        </Banner>
+      )}
+      {alertNote && (
+        <Banner type="yellow">
+          <HiOutlineExclamationTriangle />
+          {alertNote}
+        </Banner>
+      )}
+    </StyledGuestAlerts>
+  );
+}
+
+export default GuestAlerts;
@@ -0,0 +1,69 @@
+import styled from "styled-components";
+import { format } from "date-fns";
+import { useNavigate } from "react-router";
+import { HiEye } from "react-icons/hi2";
+
+import Table from "../../ui/Table";
+import Tag from "../../ui/Tag";
+import Empty from "../../ui/Empty";
+import ButtonIcon from "../../ui/ButtonIcon";
+
+import { formatCurrency } from "../../utils/helpers";
+import { statusToTagName } from "../../utils/constants";
+
+const Cabin = styled.div`
+  font-size: 1.6rem;
+  font-weight: 600;
+  color: var(--color-grey-600);
+  font-family: "Sono";
+`;
+
+const Amount = styled.div`
+  font-family: "Sono";
+  font-weight: 500;
+`;
+
+function GuestBookings({ bookings }) {
+  const navigate = useNavigate();
+
+  if (!bookings.length) return <Empty resource="bookings" />;
+
+  return (
+    <Table columns="0.6fr 2.4fr 1fr 1.4fr 1fr 3.2rem">
+      <Table.Header>
+        <div>Cabin</div>
+        <div>Dates</div>
+        <div>Nights</div>
+        <div>Status</div>
+        <div>Amount</div>
+        <div></div>
+      </Table.Header>
+
+      <Table.Body
+        data={bookings}
+        render={(booking) => (
+          <Table.Row key={booking.id}>
+            <Cabin>{booking.cabins.name}</Cabin>
+            <div>
+              {format(new Date(booking.startDate), "MMM dd yyyy")} &mdash;{" "}
+              {format(new Date(booking.endDate), "MMM dd yyyy")}
+            </div>
+            <div>{booking.numNights}</div>
+            <Tag type={statusToTagName[booking.status]}>
+              {booking.status.replace("-", " ")}
+            </Tag>
+            <Amount>{formatCurrency(booking.totalPrice)}</Amount>
+            <ButtonIcon
+              title="See booking"
+              onClick={() => navigate(`/bookings/${booking.id}`)}
+            >
+              <HiEye />
+            </ButtonIcon>
+          </Table.Row>
+        )}
+      />
+    </Table>
+  );
+}
+
+export default GuestBookings;
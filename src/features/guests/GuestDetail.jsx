@@ -0,0 +1,196 @@
+import styled from "styled-components";
+import { format } from "date-fns";
+import {
+  HiOutlineBanknotes,
+  HiOutlineCalendarDays,
+  HiOutlineEnvelope,
+  HiOutlineHomeModern,
+  HiOutlineIdentification,
+  HiOutlineMoon,
+  HiOutlineTrash,
+  HiOutlineUserPlus,
+} from "react-icons/hi2";
+
+import Row from "../../ui/Row";
+import Heading from "../../ui/Heading";
+import ButtonText from "../../ui/ButtonText";
+import ButtonGroup from "../../ui/ButtonGroup";
+import Button from "../../ui/Button";
+import Spinner from "../../ui/Spinner";
+import Empty from "../../ui/Empty";
+import Modal from "../../ui/Modal";
+import DataItem from "../../ui/DataItem";
+import { Flag } from "../../ui/Flag";
+import Stat from "../dashboard/Stat";
+import CreateGuestForm from "./CreateGuestForm";
+import GuestBookings from "./GuestBookings";
+import GuestAlerts from "./GuestAlerts";
+import LoyaltyTag from "./LoyaltyTag";
+import ConfirmEraseGuest from "./ConfirmEraseGuest";
+
+import { useMoveBack } from "../../hooks/useMoveBack";
+import { useGuest } from "./useGuest";
+import { useGuestBookings } from "./useGuestBookings";
+import { useExportGuestData } from "./useExportGuestData";
+import { useEraseGuest } from "./useEraseGuest";
+import { useUser } from "../authentication/useUser";
+import {
+  calcGuestStats,
+  formatCurrency,
+  getLoyaltyTier,
+} from "../../utils/helpers";
+import { getCountryName } from "../../utils/countries";
+
+const HeadingGroup = styled.div`
+  display: flex;
+  gap: 2.4rem;
+  align-items: center;
+`;
+
+const Contact = styled.section`
+  /* Box */
+  background-color: var(--color-grey-0);
+  border: 1px solid var(--color-grey-100);
+  border-radius: var(--border-radius-md);
+  padding: 2.4rem 4rem;
+
+  display: flex;
+  flex-direction: column;
+  gap: 1.2rem;
+`;
+
+const Stats = styled.div`
+  display: grid;
+  grid-template-columns: repeat(4, 1fr);
+  gap: 2.4rem;
+`;
+
+function GuestDetail() {
+  const moveBack = useMoveBack();
+  const { guest, isPending } = useGuest();
+  const { bookings, isPending: isLoadingBookings } = useGuestBookings(
+    guest?.id,
+  );
+  const { exportData, isExporting } = useExportGuestData();
+  const { eraseGuest, isErasing } = useEraseGuest();
+  const { isAdmin } = useUser();
+
+  if (isPending) return <Spinner />;
+  if (!guest) return <Empty resource="Guest" />;
+  if (isLoadingBookings) return <Spinner />;
+
+  const {
+    id: guestId,
+    fullName,
+    email,
+    nationality,
+    nationalID,
+    created_at,
+    erasedAt,
+  } = guest;
+  const { numStays, numNights, totalSpent } = calcGuestStats(bookings);
+  const loyaltyTier = getLoyaltyTier(bookings);
+
+  return (
+    <>
+      <Row itemProp="horizontal">
+        <HeadingGroup>
+          <Heading as="h1">{fullName}</Heading>
+          <LoyaltyTag tier={loyaltyTier?.value} />
+        </HeadingGroup>
+        <ButtonText onClick={moveBack}>&larr; Back</ButtonText>
+      </Row>
+
+      <GuestAlerts guest={guest} />
+
+      <Contact>
+        <DataItem icon={<HiOutlineEnvelope />} label="Email">
+          {email}
+        </DataItem>
+        <DataItem icon={<HiOutlineIdentification />} label="Nationality">
+          <Flag country={nationality} />
+          {getCountryName(nationality)}, national ID {nationalID}
+        </DataItem>
+        <DataItem icon={<HiOutlineUserPlus />} label="Guest since">
+          {format(new Date(created_at), "MMM dd yyyy")}
+        </DataItem>
+        {erasedAt && (
+          <DataItem icon={<HiOutlineTrash />} label="Personal data erased">
+            {format(new Date(erasedAt), "MMM dd yyyy")}
+          </DataItem>
+        )}
+      </Contact>
+
+      <Stats>
+        <Stat
+          title="Bookings"
+          color="blue"
+          icon={<HiOutlineCalendarDays />}
+          value={bookings.length}
+        />
+        <Stat
+          title="Stays"
+          color="indigo"
+          icon={<HiOutlineHomeModern />}
+          value={numStays}
+        />
+        <Stat
+          title="Nights"
+          color="yellow"
+          icon={<HiOutlineMoon />}
+          value={numNights}
+        />
+        <Stat
+          title="Total spent"
+          color="green"
+          icon={<HiOutlineBanknotes />}
+          value={formatCurrency(totalSpent)}
+        />
+      </Stats>
+
+      <Heading as="h2">Bookings</Heading>
+      <GuestBookings bookings={bookings} />
+
+      <ButtonGroup>
+        <Modal>
+          {/* There is nothing left to edit once the data was erased */}
+          {!erasedAt && (
+            <Modal.Open opens="edit">
+              <Button variation="secondary">Edit guest</Button>
+            </Modal.Open>
+          )}
+          <Modal.Window name="edit">
+            <CreateGuestForm guestToEdit={guest} />
+          </Modal.Window>
+
+          {isAdmin && !erasedAt && (
+            <Modal.Open opens="erase">
+              <Button variation="danger">Erase personal data</Button>
+            </Modal.Open>
+          )}
+          <Modal.Window name="erase">
+            <ConfirmEraseGuest
+              guestName={fullName}
+              disabled={isErasing}
+              onConfirm={(options) => eraseGuest(guestId, options)}
+            />
+          </Modal.Window>
+        </Modal>
+
+        <Button
+          variation="secondary"
+          disabled={isExporting}
+          onClick={() => exportData(guestId)}
+        >
+          Export data
+        </Button>
+
+        <Button variation="secondary" onClick={moveBack}>
+          Back
+        </Button>
+      </ButtonGroup>
+    </>
+  );
+}
+
+export default GuestDetail;
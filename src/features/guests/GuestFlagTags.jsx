@@ -0,0 +1,38 @@
+import styled from "styled-components";
+import { HiOutlineExclamationTriangle } from "react-icons/hi2";
+
+import Tag from "../../ui/Tag";
+
+const StyledGuestFlagTags = styled.span`
+  display: inline-flex;
+  align-items: center;
+  gap: 0.4rem;
+
+  & svg {
+    width: 1.8rem;
+    height: 1.8rem;
+    color: var(--color-yellow-700);
+  }
+`;
+
+// Small version of GuestAlerts for lists, the alert itself shows on hover
+function GuestFlagTags({ guest }) {
+  const { isVip, isDoNotRent, alertNote } = guest;
+
+  if (!isVip && !isDoNotRent && !alertNote) return null;
+
+  return (
+    <StyledGuestFlagTags>
+      {isDoNotRent && <Tag type="red">Do not rent</Tag>}
+      {isVip && <Tag type="indigo">VIP</Tag>}
+      {alertNote && (
+        <HiOutlineExclamationTriangle
+          title={alertNote}
+          aria-label={alertNote}
+        />
+      )}
+    </StyledGuestFlagTags>
+  );
+}
+
+export default GuestFlagTags;
@@ -0,0 +1,13 @@
+import LoyaltyTag from "./LoyaltyTag";
+import { useGuestBookings } from "./useGuestBookings";
+import { getLoyaltyTier } from "../../utils/helpers";
+
+// The tier the guest has now, from all their stays. A booking only keeps the tier it was priced with
+function GuestLoyaltyTag({ guestId }) {
+  const { bookings, isPending } = useGuestBookings(guestId);
+  if (isPending) return null;
+
+  return <LoyaltyTag tier={getLoyaltyTier(bookings)?.value} />;
+}
+
+export default GuestLoyaltyTag;
@@ -0,0 +1,83 @@
+import styled from "styled-components";
+import { useNavigate } from "react-router";
+import { HiEye, HiPencil } from "react-icons/hi2";
+
+import Table from "../../ui/Table";
+import Menus from "../../ui/Menus";
+import Modal from "../../ui/Modal";
+import { Flag } from "../../ui/Flag";
+import CreateGuestForm from "./CreateGuestForm";
+import GuestFlagTags from "./GuestFlagTags";
+import { getCountryName } from "../../utils/countries";
+
+const Stacked = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.2rem;
+
+  & span:first-child {
+    font-weight: 500;
+  }
+
+  & span:last-child {
+    color: var(--color-grey-500);
+    font-size: 1.2rem;
+  }
+`;
+
+const Nationality = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.8rem;
+`;
+
+const NationalID = styled.div`
+  font-family: "Sono";
+`;
+
+function GuestRow({ guest }) {
+  const { id, fullName, email, nationality, nationalID } = guest;
+  const navigate = useNavigate();
+
+  return (
+    <Table.Row>
+      <Stacked>
+        <span>
+          {fullName} <GuestFlagTags guest={guest} />
+        </span>
+        <span>{email}</span>
+      </Stacked>
+
+      <Nationality>
+        <Flag country={nationality} />
+        <span>{getCountryName(nationality)}</span>
+      </Nationality>
+
+      <NationalID>{nationalID}</NationalID>
+
+      <Modal>
+        <Menus.Menu>
+          <Menus.Toggle id={id} />
+          <Menus.List id={id}>
+            <Menus.Button
+              icon={<HiEye />}
+              onClick={() => navigate(`/guests/${id}`)}
+            >
+              See details
+            </Menus.Button>
+
+            <Modal.Open opens="edit">
+              <Menus.Button icon={<HiPencil />}>Edit</Menus.Button>
+            </Modal.Open>
+          </Menus.List>
+        </Menus.Menu>
+
+        <Modal.Window name="edit">
+          <CreateGuestForm guestToEdit={guest} />
+        </Modal.Window>
+      </Modal>
+    </Table.Row>
+  );
+}
+
+export default GuestRow;
@@ -0,0 +1,39 @@
+import Table from "../../ui/Table";
+import Menus from "../../ui/Menus";
+import Empty from "../../ui/Empty";
+import Spinner from "../../ui/Spinner";
+import Pagination from "../../ui/Pagination";
+import GuestRow from "./GuestRow";
+
+import { useGuestList } from "./useGuestList";
+
+function GuestTable() {
+  const { guests, count, isPending } = useGuestList();
+
+  if (isPending) return <Spinner />;
+  if (!guests.length) return <Empty resource="guests" />;
+
+  return (
+    <Menus>
+      <Table columns="2.4fr 1.6fr 1.2fr 3.2rem">
+        <Table.Header>
+          <div>Guest</div>
+          <div>Nationality</div>
+          <div>National ID</div>
+          <div></div>
+        </Table.Header>
+
+        <Table.Body
+          data={guests}
+          render={(guest) => <GuestRow key={guest.id} guest={guest} />}
+        />
+
+        <Table.Footer>
+          <Pagination count={count} />
+        </Table.Footer>
+      </Table>
+    </Menus>
+  );
+}
+
+export default GuestTable;
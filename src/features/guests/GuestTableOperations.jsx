@@ -0,0 +1,34 @@
+import SortBy from "../../ui/SortBy";
+import TableOperations from "../../ui/TableOperations";
+import Search from "../../ui/Search";
+import Button from "../../ui/Button";
+import { Link } from "react-router";
+
+function GuestTableOperations() {
+  return (
+    <TableOperations>
+      <Search placeholder="Search name, email, nationality or ID" />
+
+      <SortBy
+        options={[
+          { value: "fullName-asc", label: "Sort by name (A-Z)" },
+          { value: "fullName-desc", label: "Sort by name (Z-A)" },
+          { value: "created_at-desc", label: "Sort by added (recent first)" },
+          { value: "created_at-asc", label: "Sort by added (earlier first)" },
+          { value: "nationality-asc", label: "Sort by nationality" },
+        ]}
+      />
+
+      <Button
+        variation="secondary"
+        size="small"
+        as={Link}
+        to="/guests/duplicates"
+      >
+        Find duplicates
+      </Button>
+    </TableOperations>
+  );
+}
+
+export default GuestTableOperations;
@@ -0,0 +1,12 @@
+import Tag from "../../ui/Tag";
+import { LOYALTY_TIERS } from "../../utils/constants";
+
+// tier is the value stored on a booking, like "gold". Guests without a tier get nothing
+function LoyaltyTag({ tier }) {
+  const loyaltyTier = LOYALTY_TIERS.find((option) => option.value === tier);
+  if (!loyaltyTier) return null;
+
+  return <Tag type={loyaltyTier.color}>{loyaltyTier.label}</Tag>;
+}
+
+export default LoyaltyTag;
@@ -0,0 +1,149 @@
+import styled from "styled-components";
+import { Fragment } from "react";
+import { useForm, useWatch } from "react-hook-form";
+
+import Button from "../../ui/Button";
+import Form from "../../ui/Form";
+import FormRow from "../../ui/FormRow";
+
+import { useMergeGuests } from "./useMergeGuests";
+import { getCountryName } from "../../utils/countries";
+
+const Choices = styled.div`
+  display: grid;
+  grid-template-columns: 14rem 1fr 1fr;
+  gap: 1.2rem 2.4rem;
+  align-items: center;
+  font-size: 1.4rem;
+
+  & > span:nth-child(3n + 1) {
+    font-weight: 500;
+  }
+
+  & label {
+    display: flex;
+    align-items: center;
+    gap: 0.8rem;
+  }
+
+  & input {
+    accent-color: var(--color-brand-600);
+  }
+`;
+
+const Note = styled.p`
+  font-size: 1.4rem;
+  color: var(--color-grey-500);
+`;
+
+const FIELDS = [
+  { field: "fullName", label: "Full name" },
+  { field: "email", label: "Email" },
+  { field: "nationality", label: "Nationality", format: getCountryName },
+  { field: "nationalID", label: "National ID" },
+];
+
+// Every value can come from either guest. The bookings of the removed guest are moved to the one that is kept
+function MergeGuestsForm({ guestA, guestB, onClose }) {
+  const { mergeGuests, isMerging } = useMergeGuests();
+  const guests = { a: guestA, b: guestB };
+
+  const { register, handleSubmit, control } = useForm({
+    defaultValues: {
+      keep: "a",
+      ...Object.fromEntries(
+        FIELDS.map(({ field }) => [field, guestA[field] ? "a" : "b"]),
+      ),
+    },
+  });
+  const keep = useWatch({ control, name: "keep" });
+  const remove = keep === "a" ? "b" : "a";
+
+  function onSubmit(data) {
+    mergeGuests(
+      {
+        keepId: guests[data.keep].id,
+        removeId: guests[data.keep === "a" ? "b" : "a"].id,
+        guestData: {
+          ...Object.fromEntries(
+            FIELDS.map(({ field }) => [
+              field,
+              guests[data[field]][field] ?? "",
+            ]),
+          ),
+          // Flags and alerts are never dropped, whatever was known about either record still applies
+          isVip: Boolean(guestA.isVip || guestB.isVip),
+          isDoNotRent: Boolean(guestA.isDoNotRent || guestB.isDoNotRent),
+          alertNote: [guestA.alertNote, guestB.alertNote]
+            .filter(Boolean)
+            .join("\n"),
+        },
+      },
+      { onSuccess: () => onClose?.() },
+    );
+  }
+
+  return (
+    <Form
+      onSubmit={handleSubmit(onSubmit)}
+      type={onClose ? "modal" : "reguler"}
+    >
+      <Choices>
+        <span></span>
+        <span>Guest #{guestA.id}</span>
+        <span>Guest #{guestB.id}</span>
+
+        <span>Keep record</span>
+        {["a", "b"].map((key) => (
+          <label key={key}>
+            <input
+              type="radio"
+              value={key}
+              disabled={isMerging}
+              {...register("keep")}
+            />
+            #{guests[key].id}
+          </label>
+        ))}
+
+        {FIELDS.map(({ field, label, format = (value) => value }) => (
+          <Fragment key={field}>
+            <span>{label}</span>
+            {["a", "b"].map((key) => (
+              <label key={key}>
+                <input
+                  type="radio"
+                  value={key}
+                  disabled={isMerging}
+                  {...register(field)}
+                />
+                {format(guests[key][field]) || <em>empty</em>}
+              </label>
+            ))}
+          </Fragment>
+        ))}
+      </Choices>
+
+      <Note>
+        Guest #{guests[remove].id} will be deleted and all of their bookings
+        moved to guest #{guests[keep].id}. This can&apos;t be undone.
+      </Note>
+
+      <FormRow>
+        <Button
+          onClick={() => onClose?.()}
+          variation="secondary"
+          type="reset"
+          disabled={isMerging}
+        >
+          Cancel
+        </Button>
+        <Button variation="danger" disabled={isMerging}>
+          Merge guests
+        </Button>
+      </FormRow>
+    </Form>
+  );
+}
+
+export default MergeGuestsForm;
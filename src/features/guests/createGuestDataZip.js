@@ -0,0 +1,12 @@
+// One JSON file per table, plus the document photos and signatures, zipped. JSZip is only loaded when somebody exports a guest
+export async function createGuestDataZip({ tables, files = [] }) {
+  const { default: JSZip } = await import("jszip");
+  const zip = new JSZip();
+
+  Object.entries(tables).forEach(([name, rows]) =>
+    zip.file(`${name}.json`, JSON.stringify(rows, null, 2)),
+  );
+  files.forEach(({ name, blob }) => zip.file(name, blob));
+
+  return zip.generateAsync({ type: "blob" });
+}
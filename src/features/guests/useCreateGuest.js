@@ -0,0 +1,18 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { createGuest as createGuestApi } from "../../services/apiGuests";
+
+export function useCreateGuest() {
+  const queryClient = useQueryClient();
+
+  const { mutate: createGuest, isPending: isCreating } = useMutation({
+    mutationFn: (newGuest) => createGuestApi(newGuest),
+    onSuccess: (data) => {
+      toast.success(`Guest ${data.fullName} Succefully created`);
+      queryClient.invalidateQueries({ queryKey: ["guests"] });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { createGuest, isCreating };
+}
@@ -0,0 +1,13 @@
+import { useQuery } from "@tanstack/react-query";
+import { getGuestsToCompare } from "../../services/apiGuests";
+import { findDuplicates } from "../../utils/guestDuplicates";
+
+export function useDuplicateGuests() {
+  const { isPending, data: duplicates } = useQuery({
+    queryKey: ["guests", "duplicates"],
+    queryFn: getGuestsToCompare,
+    select: findDuplicates,
+  });
+
+  return { isPending, duplicates };
+}
@@ -0,0 +1,20 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { updateGuest } from "../../services/apiGuests";
+
+export function useEditGuest() {
+  const queryClient = useQueryClient();
+
+  const { mutate: editGuest, isPending: isEditing } = useMutation({
+    mutationFn: ({ newGuestData, id }) => updateGuest(id, newGuestData),
+    onSuccess: (data) => {
+      toast.success(`Guest ${data.fullName} Succefully edited`);
+      queryClient.invalidateQueries({ queryKey: ["guests"] });
+      // Bookings show the guest too
+      queryClient.invalidateQueries({ queryKey: ["bookings"] });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { editGuest, isEditing };
+}
@@ -0,0 +1,19 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { eraseGuest as eraseGuestApi } from "../../services/apiGdpr";
+
+export function useEraseGuest() {
+  const queryClient = useQueryClient();
+
+  const { mutate: eraseGuest, isPending: isErasing } = useMutation({
+    mutationFn: eraseGuestApi,
+    onSuccess: () => {
+      toast.success("Guest data Succefully erased");
+      queryClient.invalidateQueries({ queryKey: ["guests"] });
+      queryClient.invalidateQueries({ queryKey: ["bookings"] });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { eraseGuest, isErasing };
+}
@@ -0,0 +1,21 @@
+import { useMutation } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+
+import { exportGuestData } from "../../services/apiGdpr";
+import { createGuestDataZip } from "./createGuestDataZip";
+import { downloadFile } from "../../utils/helpers";
+
+export function useExportGuestData() {
+  const { mutate: exportData, isPending: isExporting } = useMutation({
+    mutationFn: async (guestId) => {
+      const data = await exportGuestData(guestId);
+      const zip = await createGuestDataZip(data);
+
+      downloadFile(zip, `guest-${guestId}-data.zip`);
+    },
+    onSuccess: () => toast.success("Guest data Succefully exported"),
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { exportData, isExporting };
+}
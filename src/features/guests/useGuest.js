@@ -0,0 +1,15 @@
+import { useQuery } from "@tanstack/react-query";
+import { useParams } from "react-router";
+import { getGuest } from "../../services/apiGuests";
+
+export function useGuest() {
+  const { guestId } = useParams();
+
+  const { isPending, data: guest } = useQuery({
+    queryKey: ["guests", guestId],
+    queryFn: () => getGuest(guestId),
+    retry: false,
+  });
+
+  return { isPending, guest };
+}
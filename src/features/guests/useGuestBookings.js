@@ -0,0 +1,12 @@
+import { useQuery } from "@tanstack/react-query";
+import { getGuestBookings } from "../../services/apiBookings";
+
+export function useGuestBookings(guestId) {
+  const { isPending, data: bookings } = useQuery({
+    queryKey: ["bookings", "guest", String(guestId)],
+    queryFn: () => getGuestBookings(guestId),
+    enabled: Boolean(guestId),
+  });
+
+  return { isPending, bookings };
+}
@@ -0,0 +1,33 @@
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { useSearchParams } from "react-router";
+import { searchGuests } from "../../services/apiGuests";
+import { PAGE_SIZE } from "../../utils/constants";
+
+// The guests table, with search, sort and page stored in the URL like the bookings table
+export function useGuestList() {
+  const queryClient = useQueryClient();
+  const [searchParams] = useSearchParams();
+
+  const search = searchParams.get("search")?.trim() || "";
+  const [field, direction] = (
+    searchParams.get("sortBy") || "fullName-asc"
+  ).split("-");
+  const sortBy = { field, direction };
+  const page = !searchParams.get("page") ? 1 : Number(searchParams.get("page"));
+
+  const { data: { data: guests, count } = {}, isPending } = useQuery({
+    queryKey: ["guests", search, sortBy, page],
+    queryFn: () => searchGuests({ search, sortBy, page }),
+  });
+
+  // Prefetching
+  const pageCount = Math.ceil(count / PAGE_SIZE);
+
+  if (page < pageCount)
+    queryClient.prefetchQuery({
+      queryKey: ["guests", search, sortBy, page + 1],
+      queryFn: () => searchGuests({ search, sortBy, page: page + 1 }),
+    });
+
+  return { isPending, guests, count };
+}
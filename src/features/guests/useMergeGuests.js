@@ -0,0 +1,19 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { mergeGuests as mergeGuestsApi } from "../../services/apiGuests";
+
+export function useMergeGuests() {
+  const queryClient = useQueryClient();
+
+  const { mutate: mergeGuests, isPending: isMerging } = useMutation({
+    mutationFn: mergeGuestsApi,
+    onSuccess: () => {
+      toast.success("Guests Succefully merged");
+      queryClient.invalidateQueries({ queryKey: ["guests"] });
+      queryClient.invalidateQueries({ queryKey: ["bookings"] });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { mergeGuests, isMerging };
+}
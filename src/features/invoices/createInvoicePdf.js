@@ -0,0 +1,192 @@
+import { format } from "date-fns";
+
+import {
+  CANCELLED_STATUSES,
+  EXTRA_PRICING,
+  PAYMENT_METHODS,
+} from "../../utils/constants";
+import { getCountryName } from "../../utils/countries";
+import {
+  calcBalance,
+  calcExtraPrice,
+  calcIncludedTax,
+  formatCurrency,
+  getBookingExtras,
+} from "../../utils/helpers";
+
+const LEFT = 20;
+const RIGHT = 190;
+
+const formatDate = (date) => format(new Date(date), "MMM dd yyyy");
+const methodLabel = (method) =>
+  PAYMENT_METHODS.find((option) => option.value === method)?.label ?? method;
+const pricingLabel = (pricing) =>
+  EXTRA_PRICING.find((option) => option.value === pricing)?.label ?? pricing;
+
+// Everything the invoice shows, taken from the booking as it is now. It is stored with the invoice, so a reprint shows the same
+export function getInvoiceContent({
+  booking,
+  charges,
+  payments,
+  refunds,
+  settings,
+}) {
+  const { guests: guest, cabins: cabin } = booking;
+  const lines = [];
+  const line = (description, amount) => lines.push({ description, amount });
+
+  // Refunds that lowered the price show up here too, so the lines add up to the total
+  const isCancelled = CANCELLED_STATUSES.includes(booking.status);
+  const total = isCancelled
+    ? (booking.cancellationFee ?? 0)
+    : booking.totalPrice;
+
+  if (isCancelled) {
+    line(
+      booking.status === "no-show" ? "No show fee" : "Cancellation fee",
+      total,
+    );
+  } else {
+    line(
+      `${booking.numNights} nights x ${formatCurrency(booking.cabinPrice / booking.numNights)}`,
+      booking.cabinPrice,
+    );
+    getBookingExtras(booking).forEach((extra) =>
+      line(
+        `${extra.name} (${pricingLabel(extra.pricing).toLowerCase()})`,
+        calcExtraPrice(extra, booking),
+      ),
+    );
+    if (booking.loyaltyDiscount > 0)
+      line(
+        `Loyalty discount (${booking.loyaltyDiscountPercentage}%)`,
+        -booking.loyaltyDiscount,
+      );
+
+    charges.forEach((charge) => line(charge.description, charge.amount));
+
+    refunds
+      .filter((refund) => refund.adjustsRevenue)
+      .forEach((refund) =>
+        line(
+          `Credit note ${refund.creditNoteNumber}: ${refund.reason}`,
+          -refund.amount,
+        ),
+      );
+  }
+
+  const { balance } = calcBalance(booking, {
+    payments,
+    refunds,
+    totalPrice: total,
+  });
+
+  return {
+    property: {
+      name: settings.propertyName || "The Wild Oasis",
+      address: settings.propertyAddress ?? "",
+    },
+    guest: {
+      fullName: guest.fullName,
+      email: guest.email,
+      nationalID: guest.nationalID,
+      country: guest.nationality ? getCountryName(guest.nationality) : "",
+    },
+    stay: {
+      bookingId: booking.id,
+      cabinName: cabin.name,
+      startDate: booking.startDate,
+      endDate: booking.endDate,
+      numGuests: booking.numGuests,
+    },
+    lines,
+    total,
+    taxRate: settings.taxRate ?? 0,
+    payments: [
+      ...payments.map((payment) => ({
+        description: `${formatDate(payment.paidAt)}  ${methodLabel(payment.method)}${payment.reference ? ` (${payment.reference})` : ""}`,
+        amount: payment.amount,
+      })),
+      ...refunds.map((refund) => ({
+        description: `${formatDate(refund.refundedAt)}  Refund ${refund.creditNoteNumber}`,
+        amount: -refund.amount,
+      })),
+    ],
+    balance: Math.max(balance, 0),
+  };
+}
+
+// Draws an issued invoice on an A4 page, everything happens in the browser. jsPDF is only loaded when somebody needs an invoice
+export async function createInvoicePdf(invoice) {
+  const { jsPDF } = await import("jspdf");
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const { property, guest, stay, lines, total, taxRate, payments, balance } =
+    invoice.content;
+  let y = 24;
+
+  function line(label, value = "", { bold = false, size = 10 } = {}) {
+    doc.setFont("helvetica", bold ? "bold" : "normal");
+    doc.setFontSize(size);
+    doc.text(label, LEFT, y);
+    doc.text(value, RIGHT, y, { align: "right" });
+    y += size / 2 + 2;
+  }
+
+  function divider() {
+    doc.line(LEFT, y - 3, RIGHT, y - 3);
+    y += 3;
+  }
+
+  // Property and invoice number
+  line(property.name, "INVOICE", { bold: true, size: 18 });
+  line(property.address, invoice.invoiceNumber);
+  line("", `Issued ${formatDate(invoice.issuedAt)}`);
+  if (invoice.content.replaces)
+    line("", `Replaces invoice ${invoice.content.replaces}`);
+  y += 6;
+
+  // Guest and stay
+  line("Bill to", "", { bold: true });
+  line(guest.fullName);
+  line(guest.email);
+  line(`National ID ${guest.nationalID}`);
+  if (guest.country) line(guest.country);
+  y += 4;
+
+  line(`Booking #${stay.bookingId}`, "", { bold: true });
+  line(
+    `Cabin ${stay.cabinName}, ${formatDate(stay.startDate)} - ${formatDate(stay.endDate)}`,
+    `${stay.numGuests} guest${stay.numGuests > 1 ? "s" : ""}`,
+  );
+  y += 6;
+
+  line("Description", "Amount", { bold: true });
+  divider();
+  lines.forEach(({ description, amount }) =>
+    line(description, formatCurrency(amount)),
+  );
+
+  divider();
+  const tax = calcIncludedTax(total, taxRate);
+  line("Total excluding tax", formatCurrency(total - tax));
+  line(`Tax (${taxRate}%, included)`, formatCurrency(tax));
+  line("Total", formatCurrency(total), { bold: true, size: 12 });
+  y += 6;
+
+  // Money received and given back by the time the invoice was issued
+  line("Payments", "", { bold: true });
+  divider();
+
+  if (!payments.length) line("No payments received yet");
+  payments.forEach(({ description, amount }) =>
+    line(description, formatCurrency(amount)),
+  );
+
+  divider();
+  line("Balance due", formatCurrency(balance), { bold: true, size: 12 });
+
+  y += 10;
+  line("Thank you for staying with us!");
+
+  return doc.output("blob");
+}
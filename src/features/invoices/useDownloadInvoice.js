@@ -0,0 +1,41 @@
+import { useMutation } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+
+import { getBooking } from "../../services/apiBookings";
+import { issueInvoice } from "../../services/apiInvoices";
+import { getPayments, getRefunds } from "../../services/apiPayments";
+import { getCharges } from "../../services/apiFolio";
+import { getSettings } from "../../services/apiSettings";
+import { createInvoicePdf, getInvoiceContent } from "./createInvoicePdf";
+import { downloadFile } from "../../utils/helpers";
+
+export function useDownloadInvoice() {
+  const { mutate: downloadInvoice, isPending: isDownloading } = useMutation({
+    mutationFn: async (bookingId) => {
+      const [booking, charges, payments, refunds, settings] = await Promise.all(
+        [
+          getBooking(bookingId),
+          getCharges(bookingId),
+          getPayments(bookingId),
+          getRefunds(bookingId),
+          getSettings(),
+        ],
+      );
+
+      const invoice = await issueInvoice(
+        bookingId,
+        getInvoiceContent({ booking, charges, payments, refunds, settings }),
+      );
+
+      const pdf = await createInvoicePdf(invoice);
+      downloadFile(pdf, `${invoice.invoiceNumber}.pdf`);
+
+      return invoice;
+    },
+    onSuccess: (invoice) =>
+      toast.success(`Invoice ${invoice.invoiceNumber} Succefully created`),
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { downloadInvoice, isDownloading };
+}
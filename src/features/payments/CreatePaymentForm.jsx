@@ -0,0 +1,99 @@
+import { useForm } from "react-hook-form";
+
+import Button from "../../ui/Button";
+import Form from "../../ui/Form";
+import FormRow from "../../ui/FormRow";
+import Input from "../../ui/Input";
+import Select from "../../ui/Select";
+
+import { useCreatePayment } from "./useCreatePayment";
+import { PAYMENT_METHODS } from "../../utils/constants";
+import { formatCurrency } from "../../utils/helpers";
+
+// balance is what is still due, and the amount suggested by default
+function CreatePaymentForm({ bookingId, balance, onClose }) {
+  const { createPayment, isCreating } = useCreatePayment();
+
+  const { register, handleSubmit, formState } = useForm({
+    defaultValues: {
+      amount: balance,
+      method: "cash",
+      paidAt: new Date().toISOString().slice(0, 10),
+      reference: "",
+    },
+  });
+  const { errors } = formState;
+
+  function onSubmit(data) {
+    createPayment(
+      { ...data, amount: Number(data.amount), bookingId },
+      { onSuccess: () => onClose?.() },
+    );
+  }
+
+  return (
+    <Form
+      onSubmit={handleSubmit(onSubmit)}
+      type={onClose ? "modal" : "reguler"}
+    >
+      <FormRow label="Balance due">
+        <span>{formatCurrency(balance)}</span>
+      </FormRow>
+
+      <FormRow label="Amount" error={errors?.amount?.message}>
+        <Input
+          type="number"
+          step="0.01"
+          id="amount"
+          disabled={isCreating}
+          {...register("amount", {
+            required: "This field is required",
+            min: { value: 0.01, message: "Amount should be more than zero" },
+          })}
+        />
+      </FormRow>
+
+      <FormRow label="Method">
+        <Select
+          id="method"
+          disabled={isCreating}
+          options={PAYMENT_METHODS}
+          {...register("method")}
+        />
+      </FormRow>
+
+      <FormRow label="Date" error={errors?.paidAt?.message}>
+        <Input
+          type="date"
+          id="paidAt"
+          disabled={isCreating}
+          {...register("paidAt", { required: "This field is required" })}
+        />
+      </FormRow>
+
+      <FormRow label="Reference">
+        <Input
+          type="text"
+          id="reference"
+          placeholder="e.g. receipt or transfer number"
+          disabled={isCreating}
+          {...register("reference")}
+        />
+      </FormRow>
+
+      <FormRow>
+        <Button
+          onClick={() => onClose?.()}
+          variation="secondary"
+          type="reset"
+          disabled={isCreating}
+        >
+          Cancel
+        </Button>
+        <Button disabled={isCreating}>Record payment</Button>
+      </FormRow>
+    </Form>
+  );
+}
+
+export default CreatePaymentForm;
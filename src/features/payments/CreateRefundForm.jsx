@@ -0,0 +1,110 @@
+import { useForm } from "react-hook-form";
+
+import Button from "../../ui/Button";
+import Form from "../../ui/Form";
+import FormRow from "../../ui/FormRow";
+import Input from "../../ui/Input";
+import Select from "../../ui/Select";
+import Textarea from "../../ui/Textarea";
+
+import { useCreateRefund } from "./useCreateRefund";
+import { CANCELLED_STATUSES, PAYMENT_METHODS } from "../../utils/constants";
+import { formatCurrency } from "../../utils/helpers";
+
+// amountPaid is what the guest paid so far, more than that can't go back. A cancelled booking keeps its fee
+function CreateRefundForm({ booking, amountPaid, onClose }) {
+  const { createRefund, isCreating } = useCreateRefund();
+
+  const cancellationFee = CANCELLED_STATUSES.includes(booking.status)
+    ? (booking.cancellationFee ?? 0)
+    : 0;
+  const maxRefund = Math.max(amountPaid - cancellationFee, 0);
+
+  const { register, handleSubmit, formState } = useForm({
+    defaultValues: {
+      amount: "",
+      method: "transfer",
+      refundedAt: new Date().toISOString().slice(0, 10),
+      reason: "",
+    },
+  });
+  const { errors } = formState;
+
+  function onSubmit(data) {
+    createRefund(
+      { booking, newRefund: { ...data, amount: Number(data.amount) } },
+      { onSuccess: () => onClose?.() },
+    );
+  }
+
+  return (
+    <Form
+      onSubmit={handleSubmit(onSubmit)}
+      type={onClose ? "modal" : "reguler"}
+    >
+      <FormRow label="Paid so far">
+        <span>{formatCurrency(amountPaid)}</span>
+      </FormRow>
+
+      <FormRow label="Amount" error={errors?.amount?.message}>
+        <Input
+          type="number"
+          step="0.01"
+          id="amount"
+          disabled={isCreating}
+          {...register("amount", {
+            required: "This field is required",
+            min: { value: 0.01, message: "Amount should be more than zero" },
+            max: {
+              value: maxRefund,
+              message: cancellationFee
+                ? `Only ${formatCurrency(maxRefund)} can go back, the cancellation fee is ${formatCurrency(cancellationFee)}`
+                : `The guest paid only ${formatCurrency(amountPaid)}`,
+            },
+          })}
+        />
+      </FormRow>
+
+      <FormRow label="Method">
+        <Select
+          id="method"
+          disabled={isCreating}
+          options={PAYMENT_METHODS}
+          {...register("method")}
+        />
+      </FormRow>
+
+      <FormRow label="Date" error={errors?.refundedAt?.message}>
+        <Input
+          type="date"
+          id="refundedAt"
+          disabled={isCreating}
+          {...register("refundedAt", { required: "This field is required" })}
+        />
+      </FormRow>
+
+      <FormRow label="Reason" error={errors?.reason?.message}>
+        <Textarea
+          id="reason"
+          placeholder="e.g. Left two nights early"
+          disabled={isCreating}
+          {...register("reason", { required: "This field is required" })}
+        />
+      </FormRow>
+
+      <FormRow>
+        <Button
+          onClick={() => onClose?.()}
+          variation="secondary"
+          type="reset"
+          disabled={isCreating}
+        >
+          Cancel
+        </Button>
+        <Button disabled={isCreating}>Refund</Button>
+      </FormRow>
+    </Form>
+  );
+}
+
+export default CreateRefundForm;
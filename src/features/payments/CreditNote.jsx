@@ -0,0 +1,137 @@
+import styled from "styled-components";
+import { format } from "date-fns";
+
+import Button from "../../ui/Button";
+import ButtonGroup from "../../ui/ButtonGroup";
+import Heading from "../../ui/Heading";
+import Spinner from "../../ui/Spinner";
+import Empty from "../../ui/Empty";
+import { useMoveBack } from "../../hooks/useMoveBack";
+import { useRefund } from "./useRefund";
+import { formatCurrency } from "../../utils/helpers";
+import { PAYMENT_METHODS } from "../../utils/constants";
+
+const StyledCreditNote = styled.main`
+  max-width: 80rem;
+  margin: 4.8rem auto;
+  padding: 4.8rem;
+  background-color: var(--color-grey-0);
+  border: 1px solid var(--color-grey-100);
+  border-radius: var(--border-radius-md);
+  display: flex;
+  flex-direction: column;
+  gap: 3.2rem;
+
+  /* Only the document itself ends up on paper */
+  @media print {
+    margin: 0;
+    border: none;
+
+    & button {
+      display: none;
+    }
+  }
+`;
+
+const Header = styled.header`
+  display: flex;
+  justify-content: space-between;
+  align-items: flex-start;
+
+  & p {
+    color: var(--color-grey-500);
+  }
+`;
+
+const Details = styled.dl`
+  display: grid;
+  grid-template-columns: 16rem 1fr;
+  row-gap: 0.8rem;
+
+  & dt {
+    font-weight: 500;
+  }
+`;
+
+const Total = styled.div`
+  display: flex;
+  justify-content: space-between;
+  padding: 1.6rem 2.4rem;
+  border-radius: var(--border-radius-sm);
+  background-color: var(--color-grey-100);
+  font-weight: 600;
+  font-size: 1.8rem;
+
+  & span:last-child {
+    font-family: "Sono";
+  }
+`;
+
+function CreditNote() {
+  const moveBack = useMoveBack();
+  const { refund, isPending } = useRefund();
+
+  if (isPending) return <Spinner />;
+  if (!refund) return <Empty resource="credit note" />;
+
+  const {
+    creditNoteNumber,
+    refundedAt,
+    amount,
+    method,
+    reason,
+    bookings: booking,
+  } = refund;
+  const { guests: guest, cabins: cabin } = booking;
+
+  return (
+    <StyledCreditNote>
+      <Header>
+        <div>
+          <Heading as="h1">Credit note</Heading>
+          <p>The Wild Oasis</p>
+        </div>
+        <div>
+          <Heading as="h3">{creditNoteNumber}</Heading>
+          <p>{format(new Date(refundedAt), "MMM dd yyyy")}</p>
+        </div>
+      </Header>
+
+      <Details>
+        <dt>Guest</dt>
+        <dd>{guest.fullName}</dd>
+        <dt>Email</dt>
+        <dd>{guest.email}</dd>
+        <dt>National ID</dt>
+        <dd>{guest.nationalID}</dd>
+        <dt>Booking</dt>
+        <dd>
+          #{booking.id}, Cabin {cabin.name},{" "}
+          {format(new Date(booking.startDate), "MMM dd yyyy")} &mdash;{" "}
+          {format(new Date(booking.endDate), "MMM dd yyyy")}
+        </dd>
+        <dt>Reason</dt>
+        <dd>{reason}</dd>
+        <dt>Refunded by</dt>
+        <dd>
+          {PAYMENT_METHODS.find((option) => option.value === method)?.label ??
+            method}
+        </dd>
+      </Details>
+
+      <Total>
+        <span>Amount credited</span>
+        <span>{formatCurrency(-amount)}</span>
+      </Total>
+
+      <ButtonGroup>
+        <Button variation="secondary" onClick={moveBack}>
+          Back
+        </Button>
+        <Button onClick={() => window.print()}>Print</Button>
+      </ButtonGroup>
+    </StyledCreditNote>
+  );
+}
+
+export default CreditNote;
@@ -0,0 +1,20 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { createPayment as createPaymentApi } from "../../services/apiPayments";
+
+export function useCreatePayment() {
+  const queryClient = useQueryClient();
+
+  const { mutate: createPayment, isPending: isCreating } = useMutation({
+    mutationFn: createPaymentApi,
+    onSuccess: (data) => {
+      toast.success(
+        `Payment for booking #${data.bookingId} Succefully recorded`,
+      );
+      queryClient.invalidateQueries({ queryKey: ["bookings"] });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { createPayment, isCreating };
+}
@@ -0,0 +1,19 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import { createRefund as createRefundApi } from "../../services/apiPayments";
+
+export function useCreateRefund() {
+  const queryClient = useQueryClient();
+
+  const { mutate: createRefund, isPending: isCreating } = useMutation({
+    mutationFn: ({ booking, newRefund }) => createRefundApi(booking, newRefund),
+    onSuccess: (data) => {
+      toast.success(`Refund ${data.creditNoteNumber} Succefully recorded`);
+      queryClient.invalidateQueries({ queryKey: ["bookings"] });
+      queryClient.invalidateQueries({ queryKey: ["refunds"] });
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  return { createRefund, isCreating };
+}
@@ -0,0 +1,12 @@
+import { useQuery } from "@tanstack/react-query";
+import { getPayments } from "../../services/apiPayments";
+
+export function usePayments(bookingId) {
+  const { isPending, data: payments } = useQuery({
+    queryKey: ["bookings", String(bookingId), "payments"],
+    queryFn: () => getPayments(bookingId),
+    enabled: Boolean(bookingId),
+  });
+
+  return { isPending, payments };
+}
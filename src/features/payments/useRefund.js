@@ -0,0 +1,19 @@
+import { useQuery } from "@tanstack/react-query";
+import { useParams } from "react-router";
+import { getRefund } from "../../services/apiPayments";
+
+export function useRefund() {
+  const { refundId } = useParams();
+
+  const {
+    isPending,
+    data: refund,
+    error,
+  } = useQuery({
+    queryKey: ["refunds", refundId],
+    queryFn: () => getRefund(refundId),
+    retry: false,
+  });
+
+  return { isPending, refund, error };
+}
@@ -0,0 +1,12 @@
+import { useQuery } from "@tanstack/react-query";
+import { getRefunds } from "../../services/apiPayments";
+
+export function useRefunds(bookingId) {
+  const { isPending, data: refunds } = useQuery({
+    queryKey: ["bookings", String(bookingId), "refunds"],
+    queryFn: () => getRefunds(bookingId),
+    enabled: Boolean(bookingId),
+  });
+
+  return { isPending, refunds };
+}
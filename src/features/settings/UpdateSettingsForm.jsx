@@ -4,6 +4,7 @@ import Input from "../../ui/Input";
 import Spinner from "../../ui/Spinner";
 import { useUpdateSetting } from "./useUpdateSettings";
 import { useSettings } from "./useSetting";
+import { LOYALTY_TIERS } from "../../utils/constants";
 
 function UpdateSettingsForm() {
   const { isPending, settings = {} } = useSettings();
@@ -13,17 +14,22 @@ function UpdateSettingsForm() {
     minBookingLength,
     maxBookingLength,
     maxGuestPerBooking,
-    breakfastPrice,
+    freeCancellationDays,
+    cancellationFeePercentage,
+    propertyName,
+    propertyAddress,
+    taxRate,
+    documentRetentionDays,
   } = settings;
 
   if (isPending) return <Spinner />;
 
   function handleUpdate(event, field) {
-    const { value } = event.target;
+    const { value, type } = event.target;
 
     if (!value) return;
 
-    updateSetting({ [field]: Number(value) });
+    updateSetting({ [field]: type === "number" ? Number(value) : value });
   }
 
   return (
@@ -58,15 +64,82 @@ function UpdateSettingsForm() {
         />
       </FormRow>
 
-      <FormRow label="Breakfast price">
+      <FormRow label="Free cancellation (days before check in)">
         <Input
           type="number"
-          id="breakfast-price"
-          defaultValue={breakfastPrice}
+          id="free-cancellation-days"
+          defaultValue={freeCancellationDays}
           disabled={isUpdating}
-          onBlur={(event) => handleUpdate(event, "breakfastPrice")}
+          onBlur={(event) => handleUpdate(event, "freeCancellationDays")}
         />
       </FormRow>
+
+      <FormRow label="Late cancellation fee (%)">
+        <Input
+          type="number"
+          id="cancellation-fee-percentage"
+          defaultValue={cancellationFeePercentage}
+          disabled={isUpdating}
+          onBlur={(event) => handleUpdate(event, "cancellationFeePercentage")}
+        />
+      </FormRow>
+
+      <FormRow label="Property name">
+        <Input
+          type="text"
+          id="property-name"
+          defaultValue={propertyName}
+          disabled={isUpdating}
+          onBlur={(event) => handleUpdate(event, "propertyName")}
+        />
+      </FormRow>
+
+      <FormRow label="Property address">
+        <Input
+          type="text"
+          id="property-address"
+          defaultValue={propertyAddress}
+          disabled={isUpdating}
+          onBlur={(event) => handleUpdate(event, "propertyAddress")}
+        />
+      </FormRow>
+
+      <FormRow label="Tax rate (%, included in prices)">
+        <Input
+          type="number"
+          id="tax-rate"
+          defaultValue={taxRate}
+          disabled={isUpdating}
+          onBlur={(event) => handleUpdate(event, "taxRate")}
+        />
+      </FormRow>
+
+      <FormRow label="Keep ID documents (days after check out)">
+        <Input
+          type="number"
+          id="document-retention-days"
+          defaultValue={documentRetentionDays}
+          disabled={isUpdating}
+          onBlur={(event) => handleUpdate(event, "documentRetentionDays")}
+        />
+      </FormRow>
+
+      {LOYALTY_TIERS.map(
+        ({ value, label, minStays, minNights, discountSetting }) => (
+          <FormRow
+            key={value}
+            label={`${label} guest discount (%, ${minStays} stays or ${minNights} nights)`}
+          >
+            <Input
+              type="number"
+              id={`${value}-discount`}
+              defaultValue={settings[discountSetting] ?? 0}
+              disabled={isUpdating}
+              onBlur={(event) => handleUpdate(event, discountSetting)}
+            />
+          </FormRow>
+        ),
+      )}
     </Form>
   );
 }
@@ -0,0 +1,60 @@
+import { useState } from "react";
+
+const EMPTY = { ids: [], all: false, excludedIds: [] };
+
+// Row selection for tables. When resetKey changes (e.g. other filters) the selection starts empty again.
+// With all on, every row is selected except excludedIds, so rows can still be unticked one by one
+export function useSelection(resetKey) {
+  const [state, setState] = useState({ key: resetKey, ...EMPTY });
+
+  const {
+    ids: selectedIds,
+    all: isAllSelected,
+    excludedIds,
+  } = state.key === resetKey ? state : EMPTY;
+
+  function update(changes) {
+    setState({ key: resetKey, ...EMPTY, ...changes });
+  }
+
+  const isSelected = (id) =>
+    isAllSelected ? !excludedIds.includes(id) : selectedIds.includes(id);
+
+  const select = (ids) =>
+    isAllSelected
+      ? update({
+          all: true,
+          excludedIds: excludedIds.filter((id) => !ids.includes(id)),
+        })
+      : update({ ids: [...new Set([...selectedIds, ...ids])] });
+
+  const deselect = (ids) =>
+    isAllSelected
+      ? update({
+          all: true,
+          excludedIds: [...new Set([...excludedIds, ...ids])],
+        })
+      : update({ ids: selectedIds.filter((id) => !ids.includes(id)) });
+
+  const toggle = (id) => (isSelected(id) ? deselect([id]) : select([id]));
+
+  // Every row matching the current filters, including the ones on other pages
+  const selectAll = () => update({ all: true });
+
+  const setSelected = (ids) => update({ ids });
+
+  const clear = () => update({});
+
+  return {
+    selectedIds,
+    isAllSelected,
+    excludedIds,
+    isSelected,
+    toggle,
+    select,
+    deselect,
+    selectAll,
+    setSelected,
+    clear,
+  };
+}
@@ -1,5 +1,8 @@
 import BookingTable from "../features/bookings/BookingTable";
 import BookingTableOperations from "../features/bookings/BookingTableOperations";
+import AddBooking from "../features/bookings/AddBooking";
+import BookingFilters from "../features/bookings/BookingFilters";
+import SavedViews from "../features/bookings/SavedViews";
 import Heading from "../ui/Heading";
 import Row from "../ui/Row";
 
@@ -11,7 +14,13 @@ function Bookings() {
         <BookingTableOperations />
       </Row>
 
-      <BookingTable />
+      <Row itemProp="vertical">
+        <SavedViews />
+        <BookingFilters />
+        <BookingTable />
+
+        <AddBooking />
+      </Row>
     </>
   );
 }
@@ -0,0 +1,19 @@
+import CabinTimeline from "../features/calendar/CabinTimeline";
+import CalendarOperations from "../features/calendar/CalendarOperations";
+import Heading from "../ui/Heading";
+import Row from "../ui/Row";
+
+function Calendar() {
+  return (
+    <>
+      <Row itemProp="horizontal">
+        <Heading as="h1">Cabin calendar</Heading>
+        <CalendarOperations />
+      </Row>
+
+      <CabinTimeline />
+    </>
+  );
+}
+
+export default Calendar;
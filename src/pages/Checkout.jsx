@@ -0,0 +1,7 @@
+import CheckoutBooking from "../features/check-in-out/CheckoutBooking";
+
+function Checkout() {
+  return <CheckoutBooking />;
+}
+
+export default Checkout;
@@ -0,0 +1,7 @@
+import CreditNoteDocument from "../features/payments/CreditNote";
+
+function CreditNote() {
+  return <CreditNoteDocument />;
+}
+
+export default CreditNote;
@@ -0,0 +1,7 @@
+import GuestDetail from "../features/guests/GuestDetail";
+
+function Guest() {
+  return <GuestDetail />;
+}
+
+export default Guest;
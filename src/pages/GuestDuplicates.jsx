@@ -0,0 +1,14 @@
+import DuplicateGuests from "../features/guests/DuplicateGuests";
+import Heading from "../ui/Heading";
+import Row from "../ui/Row";
+
+function GuestDuplicates() {
+  return (
+    <Row itemProp="vertical">
+      <Heading as="h1">Possible duplicate guests</Heading>
+      <DuplicateGuests />
+    </Row>
+  );
+}
+
+export default GuestDuplicates;
@@ -0,0 +1,24 @@
+import GuestTable from "../features/guests/GuestTable";
+import GuestTableOperations from "../features/guests/GuestTableOperations";
+import AddGuest from "../features/guests/AddGuest";
+import Heading from "../ui/Heading";
+import Row from "../ui/Row";
+
+function Guests() {
+  return (
+    <>
+      <Row itemProp="horizontal">
+        <Heading as="h1">All guests</Heading>
+        <GuestTableOperations />
+      </Row>
+
+      <Row itemProp="vertical">
+        <GuestTable />
+
+        <AddGuest />
+      </Row>
+    </>
+  );
+}
+
+export default Guests;
@@ -0,0 +1,7 @@
+import RegistrationCardDocument from "../features/check-in-out/RegistrationCard";
+
+function RegistrationCard() {
+  return <RegistrationCardDocument />;
+}
+
+export default RegistrationCard;
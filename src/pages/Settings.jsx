@@ -1,13 +1,23 @@
 import UpdateSettingsForm from "../features/settings/UpdateSettingsForm";
+import ExtrasTable from "../features/extras/ExtrasTable";
+import AddExtra from "../features/extras/AddExtra";
 import Heading from "../ui/Heading";
 import Row from "../ui/Row";
 
 function Settings() {
   return (
-    <Row itemProp="vertical">
-      <Heading as="h1">Update hotel settings</Heading>
-      <UpdateSettingsForm />
-    </Row>
+    <>
+      <Row itemProp="vertical">
+        <Heading as="h1">Update hotel settings</Heading>
+        <UpdateSettingsForm />
+      </Row>
+
+      <Row itemProp="vertical">
+        <Heading as="h2">Extras</Heading>
+        <ExtrasTable />
+        <AddExtra />
+      </Row>
+    </>
   );
 }
 
@@ -40,6 +40,19 @@ export async function getCurrentUser() {
   return data.user;
 }
 
+// Who is doing something right now, for the audit fields of other tables
+export async function getActor() {
+  const {
+    data: { user },
+  } = await supabase.auth.getUser();
+
+  return {
+    id: user?.id,
+    name: user?.user_metadata?.fullName || user?.email,
+    isAdmin: user?.app_metadata?.role === "admin",
+  };
+}
+
 export async function logout() {
   const { error } = await supabase.auth.signOut(); // Delete authentication from local storage
 
@@ -0,0 +1,65 @@
+import supabase from "./supabase";
+import { getActor } from "./apiAuthServices";
+
+// Every status change is a row of booking_status_history (see supabase/migrations), fromStatus is null when the booking was created
+// snapshot keeps the booking fields as they were before the change, isUndo marks the changes that undid the one before
+
+export async function getBookingHistory(bookingId) {
+  const { data, error } = await supabase
+    .from("booking_status_history")
+    .select("*")
+    .eq("bookingId", bookingId)
+    .order("created_at");
+
+  if (error) {
+    console.error(error);
+    throw new Error("Booking history could not be loaded");
+  }
+
+  return data;
+}
+
+export async function getLastBookingHistory(bookingId) {
+  const { data, error } = await supabase
+    .from("booking_status_history")
+    .select("*")
+    .eq("bookingId", bookingId)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error(error);
+    throw new Error("Booking history could not be loaded");
+  }
+
+  return data;
+}
+
+// The actor is whoever is logged in right now
+export async function addBookingHistory({
+  bookingId,
+  fromStatus,
+  toStatus,
+  snapshot = {},
+  isUndo = false,
+}) {
+  const actor = await getActor();
+
+  const { error } = await supabase.from("booking_status_history").insert([
+    {
+      bookingId,
+      fromStatus,
+      toStatus,
+      snapshot,
+      isUndo,
+      actorId: actor.id,
+      actorName: actor.name,
+    },
+  ]);
+
+  if (error) {
+    console.error(error);
+    throw new Error("Booking history could not be saved");
+  }
+}
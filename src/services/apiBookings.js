@@ -1,23 +1,79 @@
 import toast from "react-hot-toast";
-import { getToday } from "../utils/helpers";
+import { FILTER_METHODS, getToday } from "../utils/helpers";
 import supabase from "./supabase";
-import { PAGE_SIZE } from "../utils/constants";
+import { addBookingHistory, getLastBookingHistory } from "./apiBookingHistory";
+import { getActor } from "./apiAuthServices";
+import {
+  STAYED_STATUSES,
+  assertTransition,
+  canUndo,
+} from "../utils/bookingLifecycle";
+import {
+  BULK_LOOKUP_SIZE,
+  CANCELLED_STATUSES,
+  EXPORT_PAGE_SIZE,
+  PAGE_SIZE,
+} from "../utils/constants";
 
-export async function getBookings({ filter, sortBy, page }) {
-  try {
-    let query = supabase
-      .from("bookings")
-      .select("*, cabins(name), guests(fullName, email)", { count: "exact" });
+// bookings.loyaltyTier, loyaltyDiscountPercentage and loyaltyDiscount keep the returning guest discount a booking was made with, settings has one discount column per tier (see LOYALTY_TIERS)
+
+// Turns the search box text into a filter on the bookings table. "#21" looks for booking 21, anything else is matched against guest name/email and cabin name
+async function getSearchFilter(search) {
+  const bookingId = search.match(/^#(\d+)$/)?.[1];
+  if (bookingId) return `id.eq.${bookingId}`;
+
+  // Commas and parentheses have a meaning inside PostgREST filters
+  const text = search.replace(/[,()]/g, " ").trim();
+
+  const [{ data: guests, error }, { data: cabins, error: cabinsError }] =
+    await Promise.all([
+      supabase
+        .from("guests")
+        .select("id")
+        .or(`fullName.ilike.%${text}%,email.ilike.%${text}%`),
+      supabase.from("cabins").select("id").ilike("name", `%${text}%`),
+    ]);
+
+  if (error || cabinsError) {
+    console.error(error || cabinsError);
+    throw new Error("Bookings could not be searched");
+  }
+
+  const guestIds = guests.map((guest) => guest.id).join(",");
+  const cabinIds = cabins.map((cabin) => cabin.id).join(",");
+
+  return `guestId.in.(${guestIds}),cabinId.in.(${cabinIds})`;
+}
 
-    // Filter
-    if (filter)
+// filters is a list of { field, value, method } clauses that all have to match
+async function getBookingsQuery({ filters = [], sortBy, search }, select) {
+  let query = supabase.from("bookings").select(select, { count: "exact" });
+
+  // Filter
+  filters
+    .filter((filter) => FILTER_METHODS.includes(filter.method || "eq"))
+    .forEach((filter) => {
       query = query[filter.method || "eq"](filter.field, filter.value);
+    });
+
+  // Search
+  if (search) query = query.or(await getSearchFilter(search));
 
-    // Sort
-    if (sortBy)
-      query = query.order(sortBy.field, {
-        ascending: sortBy.direction === "asc",
-      });
+  // Sort
+  if (sortBy)
+    query = query.order(sortBy.field, {
+      ascending: sortBy.direction === "asc",
+    });
+
+  return query;
+}
+
+export async function getBookings({ filters, sortBy, page, search }) {
+  try {
+    let query = await getBookingsQuery(
+      { filters, sortBy, search },
+      "*, cabins(name), guests(fullName, email)",
+    );
 
     // Pagination
     if (page) {
@@ -40,6 +96,71 @@ export async function getBookings({ filter, sortBy, page }) {
   }
 }
 
+// Same filters as the bookings table, but with everything accounting needs and any range of rows
+export async function getBookingsForExport({
+  filters,
+  sortBy,
+  search,
+  from,
+  to,
+}) {
+  const query = await getBookingsQuery(
+    { filters, sortBy, search },
+    "id, startDate, endDate, numNights, numGuests, cabinPrice, extrasPrice, loyaltyTier, loyaltyDiscount, totalPrice, isPaid, status, cabins(name), guests(fullName, email)",
+  );
+
+  // The sort column can have ties, ordering by id as well keeps rows from moving between pages
+  const { data, error, count } = await query.order("id").range(from, to);
+
+  if (error) {
+    console.error(error);
+    throw new Error("Bookings could not be exported");
+  }
+
+  return { data, count };
+}
+
+// Ids of every booking matching the table filters, used when selecting all of them at once
+export async function getBookingIds({ filters, sortBy, search }) {
+  const ids = [];
+
+  for (let from = 0; ; from += EXPORT_PAGE_SIZE) {
+    const query = await getBookingsQuery({ filters, sortBy, search }, "id");
+    // Ordered by id as well, so no booking is skipped or loaded twice between pages
+    const { data, error, count } = await query
+      .order("id")
+      .range(from, from + EXPORT_PAGE_SIZE - 1);
+
+    if (error) {
+      console.error(error);
+      throw new Error("Bookings could not be selected");
+    }
+
+    ids.push(...data.map((booking) => booking.id));
+    if (ids.length >= count || !data.length) return ids;
+  }
+}
+
+export async function getBookingsByIds(ids) {
+  const bookings = [];
+
+  for (let from = 0; from < ids.length; from += BULK_LOOKUP_SIZE) {
+    const { data, error } = await supabase
+      .from("bookings")
+      .select("id, status, isPaid, startDate, totalPrice, refundedAmount")
+      .in("id", ids.slice(from, from + BULK_LOOKUP_SIZE));
+
+    if (error) {
+      console.error(error);
+      throw new Error("Bookings could not get loaded");
+    }
+
+    bookings.push(...data);
+  }
+
+  return bookings;
+}
+
 export async function getBooking(id) {
   const { data, error } = await supabase
     .from("bookings")
@@ -55,12 +176,30 @@ export async function getBooking(id) {
   return data;
 }
 
+// Every booking of a guest, the latest stay first
+export async function getGuestBookings(guestId) {
+  const { data, error } = await supabase
+    .from("bookings")
+    .select("*, cabins(name)")
+    .eq("guestId", guestId)
+    .order("startDate", { ascending: false });
+
+  if (error) {
+    console.error(error);
+    throw new Error("Bookings could not be loaded");
+  }
+
+  return data;
+}
+
 // Returns all BOOKINGS that are were created after the given date. Useful to get bookings created in the last 30 days, for example.
 // date should be ISO string
 export async function getBookingsAfterDate(date) {
   const { data, error } = await supabase
     .from("bookings")
-    .select("created_at, totalPrice, extrasPrice")
+    .select(
+      "created_at, totalPrice, extrasPrice, status, cancellationFee, refundedAmount",
+    )
     .gte("created_at", date)
     .lte("created_at", getToday({ end: true }));
 
@@ -88,11 +227,30 @@ export async function getStaysAfterDate(date) {
   return data;
 }
 
+// Returns all bookings with at least one night between the given dates, used to draw the occupancy calendar
+export async function getBookingsBetween(startDate, endDate) {
+  const { data, error } = await supabase
+    .from("bookings")
+    .select(
+      "id, cabinId, startDate, endDate, numNights, numGuests, hasBreakfast, extras, extrasPrice, loyaltyDiscountPercentage, chargesPrice, refundedAmount, status, guests(fullName)",
+    )
+    .lt("startDate", endDate)
+    .gt("endDate", startDate)
+    .not("status", "in", `(${CANCELLED_STATUSES.join(",")})`);
+
+  if (error) {
+    console.error(error);
+    throw new Error("Bookings could not get loaded");
+  }
+
+  return data;
+}
+
 // Activity means that there is a check in or a check out today
 export async function getStaysTodayActivity() {
   const { data, error } = await supabase
     .from("bookings")
-    .select("*, guests(fullName, nationality, countryFlag)")
+    .select("*, guests(fullName, nationality, isVip, isDoNotRent, alertNote)")
     .or(
       `and(status.eq.unconfirmed,startDate.eq.${getToday()}),and(status.eq.checked-in,endDate.eq.${getToday()})`,
     )
@@ -109,7 +267,90 @@ export async function getStaysTodayActivity() {
   return data;
 }
 
+// Bookings on the same cabin whose stay overlaps the given dates. A stay may start on the day another one ends
+export async function getOverlappingBookings({
+  cabinId,
+  startDate,
+  endDate,
+  excludeId,
+}) {
+  let query = supabase
+    .from("bookings")
+    .select("id, startDate, endDate, status, guests(fullName)")
+    .eq("cabinId", cabinId)
+    .lt("startDate", endDate)
+    .gt("endDate", startDate)
+    .not("status", "in", `(${CANCELLED_STATUSES.join(",")})`);
+
+  if (excludeId) query = query.neq("id", excludeId);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error(error);
+    throw new Error("Cabin availability could not be checked");
+  }
+
+  return data;
+}
+
+// Guests flagged as do-not-rent can only be booked by an admin, who has to say why. Returns who allowed it
+async function getDoNotRentOverride({ guestId, doNotRentOverrideReason }) {
+  const { data: guest, error } = await supabase
+    .from("guests")
+    .select("isDoNotRent")
+    .eq("id", guestId)
+    .single();
+
+  if (error) {
+    console.error(error);
+    throw new Error("Guest not found");
+  }
+
+  if (!guest.isDoNotRent) return {};
+  if (!doNotRentOverrideReason)
+    throw new Error("This guest is flagged as do not rent");
+
+  const actor = await getActor();
+  if (!actor.isAdmin)
+    throw new Error("Only admins can book a guest flagged as do not rent");
+
+  return { doNotRentOverrideReason, doNotRentOverrideBy: actor.name };
+}
+
+export async function createBooking(newBooking) {
+  // Check again right before inserting, the form might be showing stale availability
+  const overlapping = await getOverlappingBookings(newBooking);
+
+  if (overlapping.length)
+    throw new Error("This cabin is already booked for the selected dates");
+
+  const override = await getDoNotRentOverride(newBooking);
+
+  const { data, error } = await supabase
+    .from("bookings")
+    .insert([{ ...newBooking, ...override }])
+    .select()
+    .single();
+
+  if (error) {
+    console.error(error);
+    throw new Error("Booking could not be created");
+  }
+
+  await addBookingHistory({
+    bookingId: data.id,
+    fromStatus: null,
+    toStatus: data.status,
+  });
+
+  return data;
+}
+
 export async function updateBooking(id, obj) {
+  if ("status" in obj)
+    throw new Error("Use changeBookingStatus to change the booking status");
+
   const { data, error } = await supabase
     .from("bookings")
     .update(obj)
@@ -124,16 +365,119 @@ export async function updateBooking(id, obj) {
   return data;
 }
 
+async function getBookingForStatusChange(id) {
+  const { data, error } = await supabase
+    .from("bookings")
+    .select("*")
+    .eq("id", id)
+    .single();
+
+  if (error) {
+    console.error(error);
+    throw new Error("Booking not found");
+  }
+
+  return data;
+}
+
+// Saves the new status together with the other changes, and writes it in the history with the values the changes replaced, so it can be undone
+async function saveStatusChange(booking, status, changes, { isUndo = false }) {
+  // Only update if nobody changed the status in the meantime
+  const { data, error } = await supabase
+    .from("bookings")
+    .update({ ...changes, status })
+    .eq("id", booking.id)
+    .eq("status", booking.status)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error(error);
+    throw new Error("Booking could not be updated");
+  }
+  if (!data) throw new Error("Booking was changed by someone else, try again");
+
+  const snapshot = Object.fromEntries(
+    Object.keys(changes).map((field) => [field, booking[field]]),
+  );
+
+  await addBookingHistory({
+    bookingId: booking.id,
+    fromStatus: booking.status,
+    toStatus: status,
+    snapshot,
+    isUndo,
+  });
+
+  return data;
+}
+
+// For checks before a status change that writes other things first, so they don't happen for a booking that can't change
+export async function assertStatusChange(id, status) {
+  const booking = await getBookingForStatusChange(id);
+
+  assertTransition(booking.status, status);
+}
+
+// The only way to change the status of a booking. Illegal moves are rejected, and every change is kept in the history. changes are other fields updated together with the status
+export async function changeBookingStatus(id, status, changes = {}) {
+  const booking = await getBookingForStatusChange(id);
+
+  assertTransition(booking.status, status);
+
+  return saveStatusChange(booking, status, changes, {});
+}
+
+// Goes back to the status before the last check in or check out, restoring the values that were changed with it.
+// isPaid isn't restored, payments stay in the ledger and isPaid is derived from them again (syncBookingIsPaid)
+export async function undoBookingStatus(id) {
+  const booking = await getBookingForStatusChange(id);
+  const lastChange = await getLastBookingHistory(id);
+
+  if (!canUndo(lastChange, booking.status))
+    throw new Error("The last change of this booking can't be undone");
+
+  const snapshot = Object.fromEntries(
+    Object.entries(lastChange.snapshot ?? {}).filter(
+      ([field]) => field !== "isPaid",
+    ),
+  );
+
+  return saveStatusChange(booking, lastChange.fromStatus, snapshot, {
+    isUndo: true,
+  });
+}
+
+// status is "cancelled" or "no-show". The booking is kept, so its fee still shows up in the sales
+export async function cancelBooking(
+  id,
+  { status, cancellationReason, cancellationFee },
+) {
+  return changeBookingStatus(id, status, {
+    cancellationReason,
+    cancellationFee,
+    cancelledAt: new Date().toISOString(),
+  });
+}
+
 export async function deleteBooking(id) {
   // REMEMBER RLS POLICIES
   console.log(id);
 
-  const { data, error } = await supabase.from("bookings").delete().eq("id", id);
+  const { data, error } = await supabase
+    .from("bookings")
+    .delete()
+    .eq("id", id)
+    .not("status", "in", `(${STAYED_STATUSES.join(",")})`)
+    .select();
 
   if (error) {
     console.error(error);
     throw new Error("Booking could not be deleted");
   }
 
+  if (!data.length)
+    throw new Error("Checked in and checked out bookings can't be deleted");
+
   return data;
 }
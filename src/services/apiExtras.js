@@ -0,0 +1,43 @@
+import supabase from "./supabase";
+
+// The extras table is created in supabase/migrations
+// bookings.extras keeps a copy of the chosen extras ({ id, name, price, pricing }), so later price changes don't touch existing bookings
+
+export async function getExtras() {
+  const { data, error } = await supabase
+    .from("extras")
+    .select("*")
+    .order("name");
+
+  if (error) {
+    console.error(error);
+    throw new Error("Extras could not be loaded");
+  }
+
+  return data;
+}
+
+export async function createEditExtra(newExtra, id) {
+  let query = supabase.from("extras");
+
+  if (!id) query = query.insert([newExtra]);
+  if (id) query = query.update(newExtra).eq("id", id);
+
+  const { data, error } = await query.select().single();
+
+  if (error) {
+    console.error(error);
+    throw new Error(`Extra could not be ${id ? "edited" : "created"}`);
+  }
+
+  return data;
+}
+
+export async function deleteExtra(id) {
+  const { error } = await supabase.from("extras").delete().eq("id", id);
+
+  if (error) {
+    console.error(error);
+    throw new Error("Extra could not be deleted");
+  }
+}
@@ -0,0 +1,79 @@
+import supabase from "./supabase";
+import { getActor } from "./apiAuthServices";
+import { changeBookingStatus, getBooking, updateBooking } from "./apiBookings";
+import { getPayments, getRefunds, syncBookingIsPaid } from "./apiPayments";
+import { calcBalance, formatCurrency } from "../utils/helpers";
+
+// The charges table is created in supabase/migrations
+// bookings.chargesPrice is the sum of its charges, which are part of its totalPrice
+// bookings.checkoutOverrideReason and checkoutOverrideBy are set when an admin checks out with a balance still due
+
+export async function getCharges(bookingId) {
+  const { data, error } = await supabase
+    .from("charges")
+    .select("*")
+    .eq("bookingId", bookingId)
+    .order("created_at");
+
+  if (error) {
+    console.error(error);
+    throw new Error("Charges could not be loaded");
+  }
+
+  return data;
+}
+
+// Charges made during the stay (minibar, damages...) are added to the price of the booking
+export async function createCharge(booking, newCharge) {
+  const actor = await getActor();
+
+  const { data, error } = await supabase
+    .from("charges")
+    .insert([
+      {
+        ...newCharge,
+        bookingId: booking.id,
+        recordedBy: actor.id,
+        recordedByName: actor.name,
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    console.error(error);
+    throw new Error("Charge could not be added");
+  }
+
+  await updateBooking(booking.id, {
+    totalPrice: booking.totalPrice + newCharge.amount,
+    chargesPrice: (booking.chargesPrice ?? 0) + newCharge.amount,
+  });
+  await syncBookingIsPaid(booking.id);
+
+  return data;
+}
+
+// A guest can only leave once the folio is settled, unless an admin lets them go with a reason
+export async function checkOutBooking(id, { overrideReason } = {}) {
+  const [booking, payments, refunds] = await Promise.all([
+    getBooking(id),
+    getPayments(id),
+    getRefunds(id),
+  ]);
+  const { balance } = calcBalance(booking, { payments, refunds });
+
+  if (balance <= 0) return changeBookingStatus(id, "checked-out");
+
+  if (!overrideReason)
+    throw new Error(`still has ${formatCurrency(balance)} due`);
+
+  const actor = await getActor();
+  if (!actor.isAdmin)
+    throw new Error("Only admins can check out a booking with a balance due");
+
+  return changeBookingStatus(id, "checked-out", {
+    checkoutOverrideReason: overrideReason,
+    checkoutOverrideBy: actor.name,
+  });
+}
@@ -0,0 +1,168 @@
+import supabase from "./supabase";
+import { getActor } from "./apiAuthServices";
+import { getGuest } from "./apiGuests";
+import { getDocumentPhoto } from "./apiGuestDocuments";
+import { deleteSignatures, getSignature } from "./apiSignatures";
+
+// Every export and erasure is logged in gdpr_log (see supabase/migrations)
+// guests.erasedAt is set once the personal data of a guest was erased
+
+// Rows of a table that belong to any of the given ids
+async function getRelatedRows(table, column, ids) {
+  if (!ids.length) return [];
+
+  const { data, error } = await supabase
+    .from(table)
+    .select("*")
+    .in(column, ids)
+    .order("created_at");
+
+  if (error) {
+    console.error(error);
+    throw new Error("Guest data could not be exported");
+  }
+
+  return data;
+}
+
+async function logGdprAction(guestId, action) {
+  const actor = await getActor();
+
+  const { error } = await supabase.from("gdpr_log").insert([
+    {
+      guestId,
+      action,
+      performedBy: actor.id,
+      performedByName: actor.name,
+    },
+  ]);
+
+  if (error) {
+    console.error(error);
+    throw new Error("The request could not be logged");
+  }
+}
+
+// Everything we hold about a guest: the rows of each table, the photos of the ID documents and the signatures taken at check in
+export async function exportGuestData(guestId) {
+  const guest = await getGuest(guestId);
+  const bookings = await getRelatedRows("bookings", "guestId", [guest.id]);
+  const bookingIds = bookings.map((booking) => booking.id);
+
+  const [payments, refunds, charges, invoices, history, documents] =
+    await Promise.all([
+      getRelatedRows("payments", "bookingId", bookingIds),
+      getRelatedRows("refunds", "bookingId", bookingIds),
+      getRelatedRows("charges", "bookingId", bookingIds),
+      getRelatedRows("invoices", "bookingId", bookingIds),
+      getRelatedRows("booking_status_history", "bookingId", bookingIds),
+      getRelatedRows("guest_documents", "bookingId", bookingIds),
+    ]);
+
+  const files = await Promise.all([
+    ...documents
+      .filter((document) => document.photoPath)
+      .map(async (document) => ({
+        name: `documents/${document.photoPath}`,
+        blob: await getDocumentPhoto(document.photoPath),
+      })),
+    ...bookings
+      .filter((booking) => booking.signaturePath)
+      .map(async (booking) => ({
+        name: `signatures/${booking.signaturePath}`,
+        blob: await getSignature(booking.signaturePath),
+      })),
+  ]);
+
+  await logGdprAction(guest.id, "export");
+
+  return {
+    tables: {
+      guest,
+      bookings,
+      payments,
+      refunds,
+      charges,
+      invoices,
+      bookingHistory: history,
+      documents,
+    },
+    files,
+  };
+}
+
+// The guest can't be recognised anymore, but their bookings and payments stay for the accounts. ID documents have to be kept
+// for the legal retention period, the nightly purge removes them after that, and issued invoices keep the name they were made
+// out to for the same reason. Signatures aren't needed by law and go right away
+export async function eraseGuest(guestId) {
+  const actor = await getActor();
+  if (!actor.isAdmin)
+    throw new Error("Only admins can erase the data of a guest");
+
+  const { data, error } = await supabase
+    .from("guests")
+    .update({
+      fullName: `Erased guest #${guestId}`,
+      email: "",
+      nationality: "",
+      nationalID: "",
+      countryFlag: "",
+      isVip: false,
+      isDoNotRent: false,
+      alertNote: "",
+      erasedAt: new Date().toISOString(),
+    })
+    .eq("id", guestId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error(error);
+    throw new Error("Guest data could not be erased");
+  }
+
+  const { data: bookings, error: bookingsError } = await supabase
+    .from("bookings")
+    .select("id, signaturePath")
+    .eq("guestId", guestId);
+
+  if (bookingsError) {
+    console.error(bookingsError);
+    throw new Error("Guest data could not be erased");
+  }
+
+  await deleteSignatures(
+    bookings.map((booking) => booking.signaturePath).filter(Boolean),
+  );
+
+  // Free text often names the guest, the amounts and dates around it are kept
+  const bookingIds = bookings.map((booking) => booking.id);
+  const results = await Promise.all([
+    supabase
+      .from("bookings")
+      .update({
+        observations: "",
+        cancellationReason: "",
+        doNotRentOverrideReason: "",
+        checkoutOverrideReason: "",
+        signaturePath: null,
+        signedAt: null,
+      })
+      .eq("guestId", guestId),
+    supabase
+      .from("payments")
+      .update({ reference: "" })
+      .in("bookingId", bookingIds),
+    supabase.from("refunds").update({ reason: "" }).in("bookingId", bookingIds),
+  ]);
+
+  const freeTextError = results.find((result) => result.error)?.error;
+  if (freeTextError) {
+    console.error(freeTextError);
+    throw new Error("Guest data could not be erased");
+  }
+
+  await logGdprAction(guestId, "erasure");
+
+  return data;
+}
@@ -0,0 +1,104 @@
+import supabase from "./supabase";
+import { getMissingDocuments } from "../utils/helpers";
+
+// The guest_documents table is created in supabase/migrations. guestNumber 1 is the guest who booked, up to numGuests
+// Minors don't need a document. Photos go to the PRIVATE storage bucket "guest-documents", so they are only shown through signed URLs
+// Documents are kept for settings.documentRetentionDays after the end date of their booking, the purge-guest-documents edge function
+// removes them every night (see supabase/functions)
+
+const BUCKET = "guest-documents";
+
+export async function getGuestDocuments(bookingId) {
+  const { data, error } = await supabase
+    .from("guest_documents")
+    .select("*")
+    .eq("bookingId", bookingId)
+    .order("guestNumber");
+
+  if (error) {
+    console.error(error);
+    throw new Error("Guest documents could not be loaded");
+  }
+
+  return data;
+}
+
+// Saving a document for a guest number that was already captured replaces it
+export async function saveGuestDocument(booking, { photo, ...newDocument }) {
+  let photoPath = newDocument.photoPath ?? null;
+
+  if (photo) {
+    const fileName = `${Math.random()}-${photo.name}`.replaceAll(" ", "");
+    photoPath = `${booking.id}/${newDocument.guestNumber}-${fileName}`;
+
+    const { error: storageError } = await supabase.storage
+      .from(BUCKET)
+      .upload(photoPath, photo);
+
+    if (storageError) {
+      console.error(storageError);
+      throw new Error("Document photo could not be uploaded");
+    }
+
+    // The photo it replaces is not needed anymore
+    if (newDocument.photoPath)
+      await supabase.storage.from(BUCKET).remove([newDocument.photoPath]);
+  }
+
+  const { data, error } = await supabase
+    .from("guest_documents")
+    .upsert(
+      {
+        ...newDocument,
+        bookingId: booking.id,
+        photoPath,
+      },
+      { onConflict: "bookingId,guestNumber" },
+    )
+    .select()
+    .single();
+
+  if (error) {
+    console.error(error);
+    throw new Error("Guest document could not be saved");
+  }
+
+  return data;
+}
+
+// Links to the photos only work for a minute
+export async function getDocumentPhotoUrl(photoPath) {
+  const { data, error } = await supabase.storage
+    .from(BUCKET)
+    .createSignedUrl(photoPath, 60);
+
+  if (error) {
+    console.error(error);
+    throw new Error("Document photo could not be loaded");
+  }
+
+  return data.signedUrl;
+}
+
+export async function getDocumentPhoto(photoPath) {
+  const { data, error } = await supabase.storage
+    .from(BUCKET)
+    .download(photoPath);
+
+  if (error) {
+    console.error(error);
+    throw new Error("Document photo could not be loaded");
+  }
+
+  return data;
+}
+
+export async function assertDocumentsCaptured(booking) {
+  const documents = await getGuestDocuments(booking.id);
+  const missing = getMissingDocuments(booking.numGuests, documents);
+
+  if (missing.length)
+    throw new Error(
+      `Booking #${booking.id} can't be checked in without the ID documents of guest ${missing.join(", ")}`,
+    );
+}
@@ -0,0 +1,176 @@
+import supabase from "./supabase";
+import { getActor } from "./apiAuthServices";
+import { PAGE_SIZE } from "../utils/constants";
+import { COUNTRIES } from "../utils/countries";
+
+// guests.nationality holds an ISO 3166-1 country code like "PT". The old countryFlag URL column is not used anymore
+// guests.isVip and isDoNotRent flag a guest for the front desk, alertNote is shown with them wherever the guest shows up
+// Booking a do-not-rent guest stores the admin's reason in bookings.doNotRentOverrideReason and their name in doNotRentOverrideBy
+
+// merge_guests (see supabase/migrations) moves everything of one guest to another and deletes it, all in one transaction
+
+export async function getGuests() {
+  const { data, error } = await supabase
+    .from("guests")
+    .select("id, fullName, email, isVip, isDoNotRent, alertNote")
+    .order("fullName");
+
+  if (error) {
+    console.error(error);
+    throw new Error("Guests could not be loaded");
+  }
+
+  return data;
+}
+
+// One page of the guests table. The search looks at name, email, nationality and national ID
+export async function searchGuests({ search, sortBy, page }) {
+  let query = supabase.from("guests").select("*", { count: "exact" });
+
+  if (search) {
+    // Commas and parentheses have a meaning inside PostgREST filters
+    const text = search.replace(/[,()]/g, " ").trim();
+    // Nationalities are stored as codes, so country names are looked up here
+    const codes = COUNTRIES.filter(({ name }) =>
+      name.toLowerCase().includes(text.toLowerCase()),
+    ).map(({ code }) => code);
+
+    query = query.or(
+      [
+        ...["fullName", "email", "nationality", "nationalID"].map(
+          (field) => `${field}.ilike.%${text}%`,
+        ),
+        ...(codes.length ? [`nationality.in.(${codes.join(",")})`] : []),
+      ].join(","),
+    );
+  }
+
+  if (sortBy)
+    query = query.order(sortBy.field, {
+      ascending: sortBy.direction === "asc",
+    });
+
+  if (page) {
+    const from = (page - 1) * PAGE_SIZE;
+    query = query.range(from, from + PAGE_SIZE - 1);
+  }
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    console.error(error);
+    throw new Error("Guests could not be loaded");
+  }
+
+  return { data, count };
+}
+
+// Everything the duplicate finder compares, for all guests that weren't erased. Their placeholder names would all look alike
+export async function getGuestsToCompare() {
+  const { data, error } = await supabase
+    .from("guests")
+    .select("*")
+    .is("erasedAt", null)
+    .order("id");
+
+  if (error) {
+    console.error(error);
+    throw new Error("Guests could not be loaded");
+  }
+
+  return data;
+}
+
+export async function getGuest(id) {
+  const { data, error } = await supabase
+    .from("guests")
+    .select("*")
+    .eq("id", id)
+    .single();
+
+  if (error) {
+    console.error(error);
+    throw new Error("Guest not found");
+  }
+
+  return data;
+}
+
+// Only admins can flag a guest as do not rent or lift the flag, otherwise anybody could untick it and book the guest.
+// The database enforces the same, this check only gives a clear message first
+async function assertDoNotRentChange(guestIds, isDoNotRent) {
+  if (isDoNotRent === undefined) return;
+
+  let wasDoNotRent = false;
+
+  if (guestIds.length) {
+    const { data: guests, error } = await supabase
+      .from("guests")
+      .select("isDoNotRent")
+      .in("id", guestIds);
+
+    if (error) {
+      console.error(error);
+      throw new Error("Guest not found");
+    }
+
+    wasDoNotRent = guests.some((guest) => guest.isDoNotRent);
+  }
+
+  if (wasDoNotRent === isDoNotRent) return;
+
+  const actor = await getActor();
+  if (!actor.isAdmin)
+    throw new Error("Only admins can change the do not rent flag of a guest");
+}
+
+export async function createGuest(newGuest) {
+  await assertDoNotRentChange([], newGuest.isDoNotRent ?? false);
+
+  const { data, error } = await supabase
+    .from("guests")
+    .insert([newGuest])
+    .select()
+    .single();
+
+  if (error) {
+    console.error(error);
+    throw new Error("Guest could not be created");
+  }
+
+  return data;
+}
+
+export async function updateGuest(id, obj) {
+  await assertDoNotRentChange([id], obj.isDoNotRent);
+
+  const { data, error } = await supabase
+    .from("guests")
+    .update(obj)
+    .eq("id", id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error(error);
+    throw new Error("Guest could not be updated");
+  }
+
+  return data;
+}
+
+// guestData holds the values picked from both records, the guest with removeId is deleted afterwards
+export async function mergeGuests({ keepId, removeId, guestData }) {
+  await assertDoNotRentChange([keepId, removeId], guestData.isDoNotRent);
+
+  const { error } = await supabase.rpc("merge_guests", {
+    keep_id: keepId,
+    remove_id: removeId,
+    guest_data: guestData,
+  });
+
+  if (error) {
+    console.error(error);
+    throw new Error("Guests could not be merged");
+  }
+}
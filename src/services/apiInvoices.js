@@ -0,0 +1,87 @@
+import supabase from "./supabase";
+
+// A booking has one valid invoice. Printing it again gives the same number and the same content, which is stored when it is issued.
+// When the billed amounts changed since (charges, refunds, edits), the old invoice is voided and a new number is issued for the new content
+
+// The invoice that is valid now, voided ones are kept for the accounts
+async function getInvoice(bookingId) {
+  const { data, error } = await supabase
+    .from("invoices")
+    .select("*")
+    .eq("bookingId", bookingId)
+    .is("voidedAt", null)
+    .maybeSingle();
+
+  if (error) {
+    console.error(error);
+    throw new Error("Invoice could not be loaded");
+  }
+
+  return data;
+}
+
+async function updateInvoice(id, changes) {
+  const { data, error } = await supabase
+    .from("invoices")
+    .update(changes)
+    .eq("id", id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error(error);
+    throw new Error("Invoice could not be updated");
+  }
+
+  return data;
+}
+
+// Identity ids are never handed out twice, so neither are numbers. An invoice whose numbering failed gets it the next time
+async function numberInvoice(invoice) {
+  if (invoice.invoiceNumber) return invoice;
+
+  return updateInvoice(invoice.id, {
+    invoiceNumber: `INV-${invoice.issuedAt.slice(0, 4)}-${String(invoice.id).padStart(5, "0")}`,
+  });
+}
+
+const isSameBilling = (content, newContent) =>
+  JSON.stringify([content.lines, content.total, content.taxRate]) ===
+  JSON.stringify([newContent.lines, newContent.total, newContent.taxRate]);
+
+// content is what the invoice shows (see getInvoiceContent)
+export async function issueInvoice(bookingId, content) {
+  const invoice = await getInvoice(bookingId);
+
+  // Invoices from before contents were stored keep their number with what they bill today
+  if (invoice && !invoice.content)
+    return numberInvoice(await updateInvoice(invoice.id, { content }));
+  if (invoice && isSameBilling(invoice.content, content))
+    return numberInvoice(invoice);
+
+  if (invoice)
+    await updateInvoice(invoice.id, { voidedAt: new Date().toISOString() });
+
+  const { data: newInvoice, error } = await supabase
+    .from("invoices")
+    .insert([
+      {
+        bookingId,
+        issuedAt: new Date().toISOString().slice(0, 10),
+        content: { ...content, replaces: invoice?.invoiceNumber ?? null },
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    // Someone else issued it at the same time, only one valid invoice per booking is allowed
+    if (error.code === "23505")
+      return numberInvoice(await getInvoice(bookingId));
+
+    console.error(error);
+    throw new Error("Invoice could not be created");
+  }
+
+  return numberInvoice(newInvoice);
+}
@@ -0,0 +1,188 @@
+import supabase from "./supabase";
+import { getActor } from "./apiAuthServices";
+import { updateBooking } from "./apiBookings";
+import { calcBalance } from "../utils/helpers";
+import { CANCELLED_STATUSES } from "../utils/constants";
+
+// The payments and refunds tables are created in supabase/migrations
+// bookings.refundedAmount is the sum of the refunds that lowered its totalPrice
+
+export async function getPayments(bookingId) {
+  const { data, error } = await supabase
+    .from("payments")
+    .select("*")
+    .eq("bookingId", bookingId)
+    .order("paidAt")
+    .order("created_at");
+
+  if (error) {
+    console.error(error);
+    throw new Error("Payments could not be loaded");
+  }
+
+  return data;
+}
+
+export async function getRefunds(bookingId) {
+  const { data, error } = await supabase
+    .from("refunds")
+    .select("*")
+    .eq("bookingId", bookingId)
+    .order("refundedAt")
+    .order("created_at");
+
+  if (error) {
+    console.error(error);
+    throw new Error("Refunds could not be loaded");
+  }
+
+  return data;
+}
+
+// A refund with the booking, guest and cabin, everything the credit note shows
+export async function getRefund(id) {
+  const { data, error } = await supabase
+    .from("refunds")
+    .select("*, bookings(*, cabins(name), guests(*))")
+    .eq("id", id)
+    .single();
+
+  if (error) {
+    console.error(error);
+    throw new Error("Credit note not found");
+  }
+
+  return data;
+}
+
+// Refunds made after the given date that lower the revenue, for the dashboard
+export async function getRefundsAfterDate(date) {
+  const { data, error } = await supabase
+    .from("refunds")
+    .select("amount, refundedAt")
+    .eq("adjustsRevenue", true)
+    .gte("refundedAt", date.slice(0, 10));
+
+  if (error) {
+    console.error(error);
+    throw new Error("Refunds could not be loaded");
+  }
+
+  return data;
+}
+
+// isPaid is never set by hand anymore, it follows the balance of the booking
+export async function syncBookingIsPaid(bookingId) {
+  const [payments, refunds, { data: booking, error }] = await Promise.all([
+    getPayments(bookingId),
+    getRefunds(bookingId),
+    supabase
+      .from("bookings")
+      .select("totalPrice, isPaid, refundedAmount, chargesPrice")
+      .eq("id", bookingId)
+      .single(),
+  ]);
+
+  if (error) {
+    console.error(error);
+    throw new Error("Booking not found");
+  }
+
+  // Nothing to derive it from for bookings from before the payments ledger, unless something was charged since
+  if (!payments.length && !booking.chargesPrice) return booking;
+
+  const isPaid = calcBalance(booking, { payments, refunds }).balance <= 0;
+  if (isPaid === booking.isPaid) return booking;
+
+  return updateBooking(bookingId, { isPaid });
+}
+
+export async function createPayment(newPayment) {
+  const actor = await getActor();
+
+  const { data, error } = await supabase
+    .from("payments")
+    .insert([
+      { ...newPayment, recordedBy: actor.id, recordedByName: actor.name },
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    console.error(error);
+    throw new Error("Payment could not be recorded");
+  }
+
+  await syncBookingIsPaid(newPayment.bookingId);
+
+  return data;
+}
+
+// Records whatever is still due on the booking as one payment
+export async function payRemainingBalance(booking, { method, reference }) {
+  const [payments, refunds] = await Promise.all([
+    getPayments(booking.id),
+    getRefunds(booking.id),
+  ]);
+  const { balance } = calcBalance(booking, { payments, refunds });
+
+  if (balance <= 0) throw new Error("is already paid");
+
+  return createPayment({
+    bookingId: booking.id,
+    amount: balance,
+    method,
+    reference,
+    paidAt: new Date().toISOString().slice(0, 10),
+  });
+}
+
+// Money going back to the guest. For a stay that was shortened the guest also owes less, so the total price goes down with it. For cancelled bookings only the money paid over the fee comes back, which never was revenue
+export async function createRefund(booking, newRefund) {
+  const adjustsRevenue = !CANCELLED_STATUSES.includes(booking.status);
+  const actor = await getActor();
+
+  const { data: refund, error } = await supabase
+    .from("refunds")
+    .insert([
+      {
+        ...newRefund,
+        bookingId: booking.id,
+        adjustsRevenue,
+        recordedBy: actor.id,
+        recordedByName: actor.name,
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    console.error(error);
+    throw new Error("Refund could not be recorded");
+  }
+
+  // The identity id never repeats, so neither does the credit note number
+  const creditNoteNumber = `CN-${refund.refundedAt.slice(0, 4)}-${String(refund.id).padStart(5, "0")}`;
+
+  const { data, error: numberError } = await supabase
+    .from("refunds")
+    .update({ creditNoteNumber })
+    .eq("id", refund.id)
+    .select()
+    .single();
+
+  if (numberError) {
+    console.error(numberError);
+    throw new Error("Credit note could not be numbered");
+  }
+
+  if (adjustsRevenue)
+    await updateBooking(booking.id, {
+      totalPrice: booking.totalPrice - refund.amount,
+      refundedAmount: (booking.refundedAmount ?? 0) + refund.amount,
+    });
+
+  await syncBookingIsPaid(booking.id);
+
+  return data;
+}
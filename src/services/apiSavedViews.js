@@ -0,0 +1,70 @@
+import supabase from "./supabase";
+
+// Views are saved in Supabase so they can be shared with other staff. If that fails (offline, missing table) we keep them in this browser instead
+const localKey = (userId) => `savedViews-${userId}`;
+
+function getLocalViews(userId) {
+  return JSON.parse(localStorage.getItem(localKey(userId))) || [];
+}
+
+function setLocalViews(userId, views) {
+  localStorage.setItem(localKey(userId), JSON.stringify(views));
+}
+
+export async function getSavedViews(userId) {
+  const { data, error } = await supabase
+    .from("saved_views")
+    .select("*")
+    .or(`userId.eq.${userId},isShared.eq.true`)
+    .order("created_at");
+
+  if (error) {
+    console.error(error);
+    return getLocalViews(userId);
+  }
+
+  return [...data, ...getLocalViews(userId)];
+}
+
+// We expect a newView object that looks like {name, query, isShared, userId}
+export async function createSavedView(newView) {
+  const { data, error } = await supabase
+    .from("saved_views")
+    .insert([newView])
+    .select()
+    .single();
+
+  if (!error) return data;
+
+  console.error(error);
+
+  const localView = {
+    ...newView,
+    id: `local-${Date.now()}`,
+    isLocal: true,
+    created_at: new Date().toISOString(),
+  };
+  setLocalViews(newView.userId, [...getLocalViews(newView.userId), localView]);
+
+  return localView;
+}
+
+export async function deleteSavedView(view) {
+  if (view.isLocal) {
+    setLocalViews(
+      view.userId,
+      getLocalViews(view.userId).filter((local) => local.id !== view.id),
+    );
+    return;
+  }
+
+  const { error } = await supabase
+    .from("saved_views")
+    .delete()
+    .eq("id", view.id);
+
+  if (error) {
+    console.error(error);
+    throw new Error("View could not be deleted");
+  }
+}
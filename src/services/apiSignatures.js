@@ -0,0 +1,90 @@
+import supabase from "./supabase";
+
+// bookings.signaturePath and signedAt: the guest's signature accepting the house rules, drawn at check in
+// The images go to the PRIVATE storage bucket "signatures" (see supabase/migrations), so they are only shown through signed URLs
+
+const BUCKET = "signatures";
+
+// signature is the data URL the signature pad gives
+export async function saveSignature(bookingId, signature) {
+  const { data: booking, error: bookingError } = await supabase
+    .from("bookings")
+    .select("signaturePath")
+    .eq("id", bookingId)
+    .single();
+
+  if (bookingError) {
+    console.error(bookingError);
+    throw new Error("Booking not found");
+  }
+
+  const image = await (await fetch(signature)).blob();
+  const signaturePath = `${bookingId}-${Math.random()}.png`;
+
+  const { error: storageError } = await supabase.storage
+    .from(BUCKET)
+    .upload(signaturePath, image, { contentType: "image/png" });
+
+  if (storageError) {
+    console.error(storageError);
+    throw new Error("Signature could not be uploaded");
+  }
+
+  const { data, error } = await supabase
+    .from("bookings")
+    .update({ signaturePath, signedAt: new Date().toISOString() })
+    .eq("id", bookingId)
+    .select()
+    .single();
+
+  // Don't keep an image that no booking points to
+  if (error) {
+    await supabase.storage.from(BUCKET).remove([signaturePath]);
+
+    console.error(error);
+    throw new Error("Signature could not be saved");
+  }
+
+  // The signature it replaces (a check in that was undone) is not needed anymore
+  if (booking.signaturePath)
+    await supabase.storage.from(BUCKET).remove([booking.signaturePath]);
+
+  return data;
+}
+
+export async function getSignatureUrl(signaturePath) {
+  const { data, error } = await supabase.storage
+    .from(BUCKET)
+    .createSignedUrl(signaturePath, 60 * 60);
+
+  if (error) {
+    console.error(error);
+    throw new Error("Signature could not be loaded");
+  }
+
+  return data.signedUrl;
+}
+
+export async function deleteSignatures(signaturePaths) {
+  if (!signaturePaths.length) return;
+
+  const { error } = await supabase.storage.from(BUCKET).remove(signaturePaths);
+
+  if (error) {
+    console.error(error);
+    throw new Error("Signatures could not be deleted");
+  }
+}
+
+export async function getSignature(signaturePath) {
+  const { data, error } = await supabase.storage
+    .from(BUCKET)
+    .download(signaturePath);
+
+  if (error) {
+    console.error(error);
+    throw new Error("Signature could not be loaded");
+  }
+
+  return data;
+}
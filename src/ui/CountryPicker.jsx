@@ -0,0 +1,35 @@
+import { useId } from "react";
+import styled from "styled-components";
+
+import Input from "./Input";
+import { Flag } from "./Flag";
+import { COUNTRIES } from "../utils/countries";
+
+const StyledCountryPicker = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 1.2rem;
+
+  & input {
+    flex-grow: 1;
+  }
+`;
+
+// A text input that suggests country names while typing. country is the current value, to show its flag
+function CountryPicker({ country, ...props }) {
+  const listId = useId();
+
+  return (
+    <StyledCountryPicker>
+      <Flag country={country} />
+      <Input type="text" list={listId} autoComplete="off" {...props} />
+      <datalist id={listId}>
+        {COUNTRIES.map(({ code, name }) => (
+          <option key={code} value={name} />
+        ))}
+      </datalist>
+    </StyledCountryPicker>
+  );
+}
+
+export default CountryPicker;
@@ -0,0 +1,174 @@
+import { useState } from "react";
+import { useSearchParams } from "react-router";
+import { HiXMark } from "react-icons/hi2";
+import styled from "styled-components";
+
+import Select from "./Select";
+import Input from "./Input";
+import Button from "./Button";
+import { parseFilter, serializeFilter } from "../utils/helpers";
+
+const StyledFilterPanel = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 1.2rem;
+`;
+
+const AddFilter = styled.form`
+  display: flex;
+  align-items: center;
+  gap: 0.8rem;
+
+  & input {
+    font-size: 1.4rem;
+    padding: 0.7rem 1.2rem;
+  }
+`;
+
+const Chips = styled.ul`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.8rem;
+`;
+
+const Chip = styled.li`
+  display: flex;
+  align-items: center;
+  gap: 0.4rem;
+  padding: 0.4rem 0.4rem 0.4rem 1.2rem;
+  border-radius: 100px;
+  font-size: 1.3rem;
+  font-weight: 500;
+  color: var(--color-brand-700);
+  background-color: var(--color-brand-100);
+
+  & button {
+    display: flex;
+    background: none;
+    border: none;
+    border-radius: 50%;
+    padding: 0.2rem;
+  }
+
+  & button:hover {
+    background-color: var(--color-brand-200);
+  }
+
+  & svg {
+    width: 1.4rem;
+    height: 1.4rem;
+  }
+`;
+
+// fields: [{ field, method, label, type: "select" | "date", options }]. Every clause is kept as a "filter" param in the URL
+function FilterPanel({ fields }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [selected, setSelected] = useState(0);
+  const [value, setValue] = useState("");
+
+  const activeFilters = searchParams
+    .getAll("filter")
+    .map(parseFilter)
+    .filter(Boolean);
+
+  const selectedField = fields[selected];
+
+  function getDefinition({ field, method }) {
+    return fields.find((def) => def.field === field && def.method === method);
+  }
+
+  function updateFilters(filters) {
+    searchParams.delete("filter");
+    filters.forEach((filter) =>
+      searchParams.append("filter", serializeFilter(filter)),
+    );
+    if (searchParams.get("page")) searchParams.set("page", 1);
+
+    setSearchParams(searchParams);
+  }
+
+  function handleAdd(event) {
+    event.preventDefault();
+    if (!value) return;
+
+    const { field, method } = selectedField;
+
+    // The same field and operator can only be used once, so a new value replaces the old one
+    updateFilters([
+      ...activeFilters.filter(
+        (filter) => filter.field !== field || filter.method !== method,
+      ),
+      { field, method, value },
+    ]);
+    setValue("");
+  }
+
+  function handleRemove(toRemove) {
+    updateFilters(activeFilters.filter((filter) => filter !== toRemove));
+  }
+
+  return (
+    <StyledFilterPanel>
+      <AddFilter onSubmit={handleAdd}>
+        <Select
+          type="white"
+          value={selected}
+          onChange={(event) => {
+            setSelected(Number(event.target.value));
+            setValue("");
+          }}
+          options={fields.map((def, i) => ({ value: i, label: def.label }))}
+        />
+
+        {selectedField.type === "date" ? (
+          <Input
+            type="date"
+            value={value}
+            onChange={(event) => setValue(event.target.value)}
+          />
+        ) : (
+          <Select
+            type="white"
+            value={value}
+            onChange={(event) => setValue(event.target.value)}
+            options={[
+              { value: "", label: "Choose..." },
+              ...selectedField.options,
+            ]}
+          />
+        )}
+
+        <Button size="small" disabled={!value}>
+          Add filter
+        </Button>
+      </AddFilter>
+
+      <Chips>
+        {activeFilters.map((filter) => {
+          const definition = getDefinition(filter);
+          const label =
+            definition?.options?.find(
+              (option) => String(option.value) === filter.value,
+            )?.label ?? filter.value;
+
+          return (
+            <Chip key={serializeFilter(filter)}>
+              <span>
+                {definition?.label ?? filter.field}: {label}
+              </span>
+              <button
+                onClick={() => handleRemove(filter)}
+                aria-label="Remove filter"
+              >
+                <HiXMark />
+              </button>
+            </Chip>
+          );
+        })}
+      </Chips>
+    </StyledFilterPanel>
+  );
+}
+
+export default FilterPanel;
@@ -1,8 +1,27 @@
 import styled from "styled-components";
+import { getCountry } from "../utils/countries";
 
-export const Flag = styled.img`
+// The flags are served with the app, so nothing is loaded from another site
+const flagUrls = import.meta.glob(
+  "/node_modules/country-flag-icons/3x2/*.svg",
+  { query: "?no-inline", import: "default", eager: true },
+);
+
+const StyledFlag = styled.img`
   max-width: 2rem;
   border-radius: var(--border-radius-tiny);
   display: block;
   border: 1px solid var(--color-grey-100);
 `;
+
+// country can be a code or a name, unknown countries render nothing
+export function Flag({ country }) {
+  const found = getCountry(country);
+  if (!found) return null;
+
+  const src =
+    flagUrls[`/node_modules/country-flag-icons/3x2/${found.code}.svg`];
+  if (!src) return null;
+
+  return <StyledFlag src={src} alt={`Flag of ${found.name}`} />;
+}
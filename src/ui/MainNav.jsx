@@ -1,9 +1,11 @@
 import {
+  HiOutlineCalendar,
   HiOutlineCalendarDays,
   HiOutlineCog6Tooth,
   HiOutlineHome,
   HiOutlineHomeModern,
   HiOutlineUser,
+  HiOutlineUserGroup,
 } from "react-icons/hi2";
 
 import { NavLink } from "react-router";
@@ -69,12 +71,24 @@ function MainNav() {
             <span>Booking</span>
           </StyledNavLink>
         </li>
+        <li>
+          <StyledNavLink to="/calendar">
+            <HiOutlineCalendar />
+            <span>Calendar</span>
+          </StyledNavLink>
+        </li>
         <li>
           <StyledNavLink to="/cabins">
             <HiOutlineHomeModern />
             <span>Cabins</span>
           </StyledNavLink>
         </li>
+        <li>
+          <StyledNavLink to="/guests">
+            <HiOutlineUserGroup />
+            <span>Guests</span>
+          </StyledNavLink>
+        </li>
         <li>
           <StyledNavLink to="/users">
             <HiOutlineUser />
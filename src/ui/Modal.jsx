@@ -13,6 +13,8 @@ const StyledModal = styled.div`
   border-radius: var(--border-radius-lg);
   box-shadow: var(--shadow-lg);
   padding: 3.2rem 4rem;
+  max-height: 90vh;
+  overflow-y: auto;
   transition: all 0.5s;
 `;
 
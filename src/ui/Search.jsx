@@ -0,0 +1,89 @@
+import { useEffect, useRef, useState } from "react";
+import { useSearchParams } from "react-router";
+import { HiMagnifyingGlass } from "react-icons/hi2";
+import styled from "styled-components";
+
+const StyledSearch = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.8rem;
+  border: 1px solid var(--color-grey-100);
+  background-color: var(--color-grey-0);
+  box-shadow: var(--shadow-sm);
+  border-radius: var(--border-radius-sm);
+  padding: 0 1.2rem;
+
+  & svg {
+    width: 1.8rem;
+    height: 1.8rem;
+    color: var(--color-grey-400);
+  }
+
+  & input {
+    border: none;
+    background: none;
+    font-size: 1.4rem;
+    font-weight: 500;
+    padding: 0.8rem 0;
+    width: 24rem;
+  }
+
+  & input:focus {
+    outline: none;
+  }
+
+  &:focus-within {
+    outline: 2px solid var(--color-brand-600);
+    outline-offset: -1px;
+  }
+`;
+
+function Search({ searchField = "search", placeholder = "Search..." }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  // What was typed but is not in the URL yet. Otherwise the box shows the URL, which saved views and links can change too
+  const [draft, setDraft] = useState(null);
+  const query = draft ?? (searchParams.get(searchField) || "");
+  const timeoutRef = useRef();
+
+  // Once the URL changes, it wins over what was typed and a pending update must not overwrite it
+  const paramsKey = searchParams.toString();
+  const [prevParamsKey, setPrevParamsKey] = useState(paramsKey);
+  if (paramsKey !== prevParamsKey) {
+    setPrevParamsKey(paramsKey);
+    setDraft(null);
+  }
+
+  useEffect(() => () => clearTimeout(timeoutRef.current), [paramsKey]);
+
+  // Only update the URL once the user stops typing, so we don't fire a request on every key stroke
+  function handleChange(event) {
+    const { value } = event.target;
+    setDraft(value);
+
+    clearTimeout(timeoutRef.current);
+    timeoutRef.current = setTimeout(() => {
+      setSearchParams((searchParams) => {
+        if (value.trim()) searchParams.set(searchField, value);
+        else searchParams.delete(searchField);
+        if (searchParams.get("page")) searchParams.set("page", 1);
+
+        return searchParams;
+      });
+    }, 400);
+  }
+
+  return (
+    <StyledSearch>
+      <HiMagnifyingGlass />
+      <input
+        type="search"
+        value={query}
+        onChange={handleChange}
+        placeholder={placeholder}
+        aria-label={placeholder}
+      />
+    </StyledSearch>
+  );
+}
+
+export default Search;
@@ -0,0 +1,99 @@
+import { useRef } from "react";
+import styled from "styled-components";
+import ButtonText from "./ButtonText";
+
+const StyledSignaturePad = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: flex-start;
+  gap: 0.8rem;
+`;
+
+const Canvas = styled.canvas`
+  width: 100%;
+  max-width: 60rem;
+  aspect-ratio: 3 / 1;
+  border: 1px dashed var(--color-grey-300);
+  border-radius: var(--border-radius-sm);
+  background-color: #fff;
+  touch-action: none;
+  cursor: crosshair;
+`;
+
+// Drawn with a mouse, pen or finger. onChange gets a PNG data URL after every stroke, and null when the pad is cleared
+function SignaturePad({ onChange, disabled }) {
+  const canvasRef = useRef(null);
+  const isDrawing = useRef(false);
+
+  function getPoint(event) {
+    const canvas = canvasRef.current;
+    const { left, top, width, height } = canvas.getBoundingClientRect();
+
+    // The canvas is scaled by CSS, so screen pixels are turned into canvas pixels
+    return {
+      x: ((event.clientX - left) / width) * canvas.width,
+      y: ((event.clientY - top) / height) * canvas.height,
+    };
+  }
+
+  function handlePointerDown(event) {
+    if (disabled) return;
+
+    const context = canvasRef.current.getContext("2d");
+    const { x, y } = getPoint(event);
+
+    context.lineWidth = 2.5;
+    context.lineCap = "round";
+    context.lineJoin = "round";
+    context.strokeStyle = "#111827";
+    context.beginPath();
+    context.moveTo(x, y);
+
+    event.currentTarget.setPointerCapture(event.pointerId);
+    isDrawing.current = true;
+  }
+
+  function handlePointerMove(event) {
+    if (!isDrawing.current) return;
+
+    const context = canvasRef.current.getContext("2d");
+    const { x, y } = getPoint(event);
+
+    context.lineTo(x, y);
+    context.stroke();
+  }
+
+  function handlePointerUp() {
+    if (!isDrawing.current) return;
+
+    isDrawing.current = false;
+    onChange(canvasRef.current.toDataURL("image/png"));
+  }
+
+  function handleClear() {
+    const canvas = canvasRef.current;
+
+    canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+    onChange(null);
+  }
+
+  return (
+    <StyledSignaturePad>
+      <Canvas
+        ref={canvasRef}
+        width={900}
+        height={300}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        aria-label="Signature"
+      />
+      <ButtonText type="button" onClick={handleClear} disabled={disabled}>
+        Clear signature
+      </ButtonText>
+    </StyledSignaturePad>
+  );
+}
+
+export default SignaturePad;
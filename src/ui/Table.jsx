@@ -53,6 +53,12 @@ const Footer = styled.footer`
   }
 `;
 
+const SelectBox = styled.input.attrs({ type: "checkbox" })`
+  height: 1.8rem;
+  width: 1.8rem;
+  accent-color: var(--color-brand-600);
+`;
+
 const Empty = styled.p`
   font-size: 1.6rem;
   font-weight: 500;
@@ -62,29 +68,52 @@ const Empty = styled.p`
 
 const TableContext = createContext();
 
-function Table({ columns, children }) {
+// Pass a selection (see useSelection) to get a checkbox in front of every row
+function Table({ columns, selection, children }) {
+  const gridColumns = selection ? `1.8rem ${columns}` : columns;
+
   return (
-    <TableContext.Provider value={{ columns }}>
+    <TableContext.Provider value={{ columns: gridColumns, selection }}>
       <StyledTable role="table">{children}</StyledTable>
     </TableContext.Provider>
   );
 }
 
-function Header({ children }) {
-  const { columns } = useContext(TableContext);
+// ids are the rows currently shown, the header checkbox selects or unselects all of them and leaves other pages alone
+function Header({ children, ids = [] }) {
+  const { columns, selection } = useContext(TableContext);
+
+  const allSelected =
+    selection && ids.length > 0 && ids.every(selection.isSelected);
 
   return (
     <StyledHeader role="row" columns={columns} as="header">
+      {selection && (
+        <SelectBox
+          checked={allSelected}
+          onChange={() =>
+            allSelected ? selection.deselect(ids) : selection.select(ids)
+          }
+          aria-label="Select all rows on this page"
+        />
+      )}
       {children}
     </StyledHeader>
   );
 }
 
-function Row({ children }) {
-  const { columns } = useContext(TableContext);
+function Row({ children, id }) {
+  const { columns, selection } = useContext(TableContext);
 
   return (
     <StyledRow role="row" columns={columns}>
+      {selection && (
+        <SelectBox
+          checked={selection.isSelected(id)}
+          onChange={() => selection.toggle(id)}
+          aria-label={`Select row ${id}`}
+        />
+      )}
       {children}
     </StyledRow>
   );
@@ -0,0 +1,38 @@
+// Every status a booking can move to from its current one. A booking only goes forward: unconfirmed -> checked-in -> checked-out, or it gets cancelled / marked as no-show before check in
+export const BOOKING_TRANSITIONS = {
+  unconfirmed: ["checked-in", "cancelled", "no-show"],
+  "checked-in": ["checked-out"],
+  "checked-out": [],
+  cancelled: [],
+  "no-show": [],
+};
+
+export const canTransition = (fromStatus, toStatus) =>
+  BOOKING_TRANSITIONS[fromStatus]?.includes(toStatus) ?? false;
+
+// Stays that happened are part of the revenue history, so only bookings that never were checked in can be deleted
+export const STAYED_STATUSES = ["checked-in", "checked-out"];
+
+export const canDelete = (status) => !STAYED_STATUSES.includes(status);
+
+// Check ins and check outs clicked by mistake can be undone, going back to the status they came from
+export const UNDOABLE_TRANSITIONS = {
+  "checked-in": "unconfirmed",
+  "checked-out": "checked-in",
+};
+
+// Only the last change of a booking can be undone, and an undo can't be undone again
+export const canUndo = (lastChange, currentStatus) =>
+  Boolean(lastChange) &&
+  !lastChange.isUndo &&
+  lastChange.toStatus === currentStatus &&
+  UNDOABLE_TRANSITIONS[currentStatus] === lastChange.fromStatus;
+
+export const formatStatus = (status) => status.replace("-", " ");
+
+export const assertTransition = function (fromStatus, toStatus) {
+  if (!canTransition(fromStatus, toStatus))
+    throw new Error(
+      `A booking can't go from ${formatStatus(fromStatus)} to ${formatStatus(toStatus)}`,
+    );
+};
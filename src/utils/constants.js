@@ -1 +1,83 @@
 export const PAGE_SIZE = 10;
+
+export const statusToTagName = {
+  unconfirmed: "blue",
+  "checked-in": "green",
+  "checked-out": "silver",
+  cancelled: "red",
+  "no-show": "yellow",
+};
+
+// Bookings with these statuses don't hold their cabin anymore, but are kept for the revenue history
+export const CANCELLED_STATUSES = ["cancelled", "no-show"];
+
+export const PAYMENT_METHODS = [
+  { value: "cash", label: "Cash" },
+  { value: "card", label: "Card" },
+  { value: "transfer", label: "Bank transfer" },
+  { value: "other", label: "Other" },
+];
+
+// How long the undo button stays after checking in or out
+export const UNDO_TOAST_DURATION = 8000;
+
+// How many rows are loaded per request when exporting, instead of everything at once
+export const EXPORT_PAGE_SIZE = 500;
+
+// Bulk actions look bookings up this many ids at a time, so the filter stays within the URL length limit
+export const BULK_LOOKUP_SIZE = 100;
+
+// How many bookings a bulk action works on at the same time
+export const BULK_CONCURRENCY = 5;
+
+// How the price of an extra is multiplied over a stay
+export const EXTRA_PRICING = [
+  { value: "stay", label: "Per stay" },
+  { value: "night", label: "Per night" },
+  { value: "guest", label: "Per guest" },
+  { value: "guest-night", label: "Per guest per night" },
+];
+
+// Charges added to the folio during the stay
+export const CHARGE_TYPES = [
+  { value: "minibar", label: "Minibar" },
+  { value: "damage", label: "Damage" },
+  { value: "service", label: "Extra service" },
+  { value: "other", label: "Other" },
+];
+
+// A guest reaches a tier with enough checked out stays OR nights. Each tier's discount is the settings column in discountSetting
+export const LOYALTY_TIERS = [
+  {
+    value: "platinum",
+    label: "Platinum",
+    color: "indigo",
+    minStays: 10,
+    minNights: 40,
+    discountSetting: "platinumDiscountPercentage",
+  },
+  {
+    value: "gold",
+    label: "Gold",
+    color: "yellow",
+    minStays: 5,
+    minNights: 20,
+    discountSetting: "goldDiscountPercentage",
+  },
+  {
+    value: "silver",
+    label: "Silver",
+    color: "silver",
+    minStays: 2,
+    minNights: 7,
+    discountSetting: "silverDiscountPercentage",
+  },
+];
+
+// ID documents recorded at check in
+export const DOCUMENT_TYPES = [
+  { value: "passport", label: "Passport" },
+  { value: "id-card", label: "ID card" },
+  { value: "driving-licence", label: "Driving licence" },
+  { value: "residence-permit", label: "Residence permit" },
+];
@@ -0,0 +1,93 @@
+// Below this score two guests are not shown as possible duplicates
+export const MIN_DUPLICATE_SCORE = 30;
+
+// Names are compared without case, accents, punctuation or word order, so "Müller, Jonas" matches "jonas muller".
+// Missing values come back from the database as null, so they are turned into "" here
+export const normalizeName = (name) =>
+  (name ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, " ")
+    .split(" ")
+    .filter(Boolean)
+    .sort()
+    .join(" ");
+
+const normalizeEmail = (email) => (email ?? "").trim().toLowerCase();
+const normalizeNationalID = (nationalID) =>
+  (nationalID ?? "").replace(/[\s.-]/g, "").toUpperCase();
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j++)
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// 1 for the same name, 0 for nothing in common
+export function nameSimilarity(nameA, nameB) {
+  const a = normalizeName(nameA);
+  const b = normalizeName(nameB);
+  if (!a || !b) return 0;
+
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+// Out of 100. The same email or national ID says a lot more than a similar name
+export function scoreDuplicate(guestA, guestB) {
+  const reasons = [];
+  let score = 0;
+
+  if (
+    guestA.email &&
+    normalizeEmail(guestA.email) === normalizeEmail(guestB.email)
+  ) {
+    score += 50;
+    reasons.push("same email");
+  }
+
+  if (
+    guestA.nationalID &&
+    normalizeNationalID(guestA.nationalID) ===
+      normalizeNationalID(guestB.nationalID)
+  ) {
+    score += 40;
+    reasons.push("same national ID");
+  }
+
+  const similarity = nameSimilarity(guestA.fullName, guestB.fullName);
+  if (similarity >= 0.75) {
+    score += Math.round(similarity * 40);
+    reasons.push(similarity === 1 ? "same name" : "similar name");
+  }
+
+  return { score: Math.min(score, 100), reasons };
+}
+
+// Every pair of guests that might be the same person, the most likely first
+export function findDuplicates(guests, minScore = MIN_DUPLICATE_SCORE) {
+  const duplicates = [];
+
+  guests.forEach((guestA, i) =>
+    guests.slice(i + 1).forEach((guestB) => {
+      const { score, reasons } = scoreDuplicate(guestA, guestB);
+      if (score >= minScore)
+        duplicates.push({ guestA, guestB, score, reasons });
+    }),
+  );
+
+  return duplicates.sort((a, b) => b.score - a.score);
+}
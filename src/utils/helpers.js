@@ -1,4 +1,12 @@
-import { differenceInDays, formatDistance, parseISO } from "date-fns";
+import {
+  differenceInCalendarDays,
+  differenceInDays,
+  format,
+  formatDistance,
+  parseISO,
+} from "date-fns";
+import { CANCELLED_STATUSES, DOCUMENT_TYPES, LOYALTY_TIERS } from "./constants";
+import { getCountryName } from "./countries";
 // import { differenceInDays } from "date-fns/esm";
 
 // We want to make this function work for both Date objects and strings (which come from Supabase)
@@ -28,3 +36,206 @@ export const formatCurrency = (value) =>
   new Intl.NumberFormat("en", { style: "currency", currency: "USD" }).format(
     value,
   );
+
+// Price of one extra over a stay, following its pricing type
+export const calcExtraPrice = function (extra, { numNights, numGuests }) {
+  const multiplier = {
+    stay: 1,
+    night: numNights,
+    guest: numGuests,
+    "guest-night": numNights * numGuests,
+  };
+
+  return extra.price * (multiplier[extra.pricing] ?? 1);
+};
+
+export const calcExtrasPrice = (extras = [], stay) =>
+  extras.reduce((sum, extra) => sum + calcExtraPrice(extra, stay), 0);
+
+// Bookings made before the extras catalog only have hasBreakfast, so their breakfast is rebuilt from the price that was paid
+export const getBookingExtras = function (booking) {
+  if (booking.extras) return booking.extras;
+  if (!booking.hasBreakfast || !booking.extrasPrice) return [];
+
+  return [
+    {
+      id: null,
+      name: "Breakfast",
+      pricing: "guest-night",
+      price: booking.extrasPrice / (booking.numNights * booking.numGuests),
+    },
+  ];
+};
+
+// What gets stored on a booking for the chosen extras, a copy so later catalog changes don't reprice it
+export const toBookingExtras = (extras) =>
+  extras.map(({ id, name, price, pricing }) => ({ id, name, price, pricing }));
+
+// hasBreakfast is still stored, the bookings filter and older reports use it
+export const includesBreakfast = (extras) =>
+  extras.some((extra) => extra.name.trim().toLowerCase() === "breakfast");
+
+// Same price rules the sample data uploader uses: nightly cabin price after discount, plus the chosen extras, minus the loyalty discount. Existing bookings also keep their charges and refunds in the total
+export const calcBookingPrices = function ({
+  startDate,
+  endDate,
+  cabin,
+  numGuests,
+  extras = [],
+  loyaltyDiscountPercentage = 0,
+  chargesPrice = 0,
+  refundedAmount = 0,
+}) {
+  const numNights = subtractDates(endDate, startDate);
+  const cabinPrice = numNights * (cabin.regularPrice - cabin.discount);
+  const extrasPrice = calcExtrasPrice(extras, { numNights, numGuests });
+  const loyaltyDiscount =
+    Math.round((cabinPrice + extrasPrice) * loyaltyDiscountPercentage) / 100;
+
+  return {
+    numNights,
+    cabinPrice,
+    extrasPrice,
+    loyaltyDiscount,
+    totalPrice:
+      cabinPrice +
+      extrasPrice -
+      loyaltyDiscount +
+      chargesPrice -
+      refundedAmount,
+  };
+};
+
+// No-shows pay the whole stay. Cancelling at least freeCancellationDays before check in is free, later costs a percentage of the total
+export const calcCancellationFee = function ({
+  booking,
+  status,
+  settings,
+  date = new Date(),
+}) {
+  if (status === "no-show") return booking.totalPrice;
+
+  const daysBefore = differenceInCalendarDays(
+    parseISO(booking.startDate),
+    date,
+  );
+  if (daysBefore >= settings.freeCancellationDays) return 0;
+
+  return (
+    Math.round(booking.totalPrice * settings.cancellationFeePercentage) / 100
+  );
+};
+
+// What a booking earned when it was made, cancelled and no-show bookings only bring in their fee. Refunds are taken off separately, on the day they are made
+export const getBookingRevenue = (booking) =>
+  CANCELLED_STATUSES.includes(booking.status)
+    ? (booking.cancellationFee ?? 0)
+    : booking.totalPrice + (booking.refundedAmount ?? 0);
+
+// Lifetime numbers of a guest. Only bookings that were checked in count as stays, what was spent also includes cancellation fees
+export const calcGuestStats = function (bookings) {
+  const stays = bookings.filter((booking) =>
+    ["checked-in", "checked-out"].includes(booking.status),
+  );
+
+  return {
+    numStays: stays.length,
+    numNights: stays.reduce((acc, booking) => acc + booking.numNights, 0),
+    totalSpent: bookings.reduce((acc, booking) => {
+      if (CANCELLED_STATUSES.includes(booking.status))
+        return acc + (booking.cancellationFee ?? 0);
+
+      return acc + (stays.includes(booking) ? booking.totalPrice : 0);
+    }, 0),
+  };
+};
+
+// The highest tier a guest reached with their completed stays, or null
+export const getLoyaltyTier = function (bookings = []) {
+  const stays = bookings.filter((booking) => booking.status === "checked-out");
+  const numStays = stays.length;
+  const numNights = stays.reduce((acc, booking) => acc + booking.numNights, 0);
+
+  return (
+    LOYALTY_TIERS.find(
+      (tier) => numStays >= tier.minStays || numNights >= tier.minNights,
+    ) ?? null
+  );
+};
+
+// Guest numbers from 1 to numGuests that have no document yet. Minors get a document row too, marked isMinor
+export const getMissingDocuments = (numGuests, documents = []) =>
+  Array.from({ length: numGuests }, (_, i) => i + 1).filter(
+    (guestNumber) =>
+      !documents.some((document) => document.guestNumber === guestNumber),
+  );
+
+// One line about an ID document taken at check in
+export const describeDocument = function (document) {
+  if (document.isMinor) return "Minor, no document needed";
+
+  const { documentType, documentNumber, issuingCountry, expiryDate } = document;
+  const typeLabel =
+    DOCUMENT_TYPES.find((type) => type.value === documentType)?.label ??
+    documentType;
+
+  return `${typeLabel} ${documentNumber}, ${getCountryName(issuingCountry)}, expires ${format(new Date(expiryDate), "MMM dd yyyy")}`;
+};
+
+// Bookings from before the payments ledger only have isPaid, so without payments they count as paid in full, except for what was charged later. Refunded money is no longer paid
+export const calcBalance = function (
+  booking,
+  { payments = [], refunds = [], totalPrice = booking.totalPrice } = {},
+) {
+  const sum = (items) => items.reduce((acc, item) => acc + item.amount, 0);
+
+  const amountPaid =
+    (payments.length
+      ? sum(payments)
+      : booking.isPaid
+        ? booking.totalPrice +
+          (booking.refundedAmount ?? 0) -
+          (booking.chargesPrice ?? 0)
+        : 0) - sum(refunds);
+
+  return { amountPaid, balance: totalPrice - amountPaid };
+};
+
+// Prices already include the tax, this is the part of amount that is tax
+export const calcIncludedTax = (amount, taxRate) =>
+  Math.round((amount - amount / (1 + taxRate / 100)) * 100) / 100;
+
+// Filter clauses travel in the URL as "field.method.value", e.g. "isPaid.eq.false" or "startDate.gte.2026-01-31"
+export const FILTER_METHODS = ["eq", "neq", "gt", "gte", "lt", "lte"];
+
+export const serializeFilter = ({ field, method = "eq", value }) =>
+  `${field}.${method}.${value}`;
+
+export const parseFilter = function (filterStr) {
+  const [field, method, ...value] = filterStr.split(".");
+
+  if (!field || !FILTER_METHODS.includes(method) || !value.length) return null;
+
+  return { field, method, value: value.join(".") };
+};
+
+// The part of the URL that describes a list view. The page is left out, a saved view always opens on the first page
+export const getViewQuery = function (searchParams) {
+  const params = new URLSearchParams(searchParams);
+  params.delete("page");
+  params.sort();
+
+  return params.toString();
+};
+
+// Lets the browser save a file we generated ourselves (CSV, XLSX, PDF...)
+export const downloadFile = function (blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+
+  link.href = url;
+  link.download = fileName;
+  link.click();
+
+  URL.revokeObjectURL(url);
+};
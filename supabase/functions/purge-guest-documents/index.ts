@@ -0,0 +1,101 @@
+// Removes the ID documents whose retention period is over, photos first so none are left without a row.
+// Runs once a day (see supabase/migrations) with the service role, so it doesn't depend on anybody checking guests in
+import { createClient } from "jsr:@supabase/supabase-js@2";
+
+const BUCKET = "guest-documents";
+// Storage removes at most 1000 files per call
+const BATCH_SIZE = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function respond(body: Record<string, unknown>, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+Deno.serve(async () => {
+  const supabase = createClient(
+    Deno.env.get("SUPABASE_URL")!,
+    Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!,
+  );
+
+  const { data: settings, error: settingsError } = await supabase
+    .from("settings")
+    .select("documentRetentionDays")
+    .single();
+
+  if (settingsError) {
+    console.error(settingsError);
+    return respond({ error: "Settings could not be loaded" }, 500);
+  }
+
+  // Without a valid retention period every document would count as expired, so nothing is purged
+  const retentionDays = settings.documentRetentionDays;
+  if (!Number.isInteger(retentionDays) || retentionDays <= 0)
+    return respond(
+      { error: "documentRetentionDays must be a positive number of days" },
+      500,
+    );
+
+  // The end date is read now, so a stay that was extended keeps its documents longer
+  const lastKeptEndDate = new Date(Date.now() - retentionDays * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+
+  let purged = 0;
+
+  while (true) {
+    const { data: expired, error } = await supabase
+      .from("guest_documents")
+      .select("id, photoPath, bookings!inner(endDate)")
+      .lt("bookings.endDate", lastKeptEndDate)
+      .order("id")
+      .limit(BATCH_SIZE);
+
+    if (error) {
+      console.error(error);
+      return respond({ error: "Expired documents could not be loaded" }, 500);
+    }
+
+    if (!expired.length) break;
+
+    const photoPaths = expired
+      .map((document) => document.photoPath)
+      .filter(Boolean);
+
+    if (photoPaths.length) {
+      const { error: storageError } = await supabase.storage
+        .from(BUCKET)
+        .remove(photoPaths);
+
+      if (storageError) {
+        console.error(storageError);
+        return respond(
+          { error: "Expired document photos could not be deleted" },
+          500,
+        );
+      }
+    }
+
+    const { error: deleteError } = await supabase
+      .from("guest_documents")
+      .delete()
+      .in(
+        "id",
+        expired.map((document) => document.id),
+      );
+
+    if (deleteError) {
+      console.error(deleteError);
+      return respond({ error: "Expired documents could not be deleted" }, 500);
+    }
+
+    purged += expired.length;
+
+    if (expired.length < BATCH_SIZE) break;
+  }
+
+  return respond({ purged });
+});
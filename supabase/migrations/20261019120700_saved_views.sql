@@ -0,0 +1,24 @@
+-- Named booking views. The tables the app started with (cabins, guests, bookings, settings) were created from the dashboard
+
+create table public.saved_views (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  name text not null,
+  query text not null,
+  "isShared" boolean not null default false,
+  "userId" uuid not null default auth.uid() references auth.users on delete cascade
+);
+
+alter table public.saved_views enable row level security;
+
+create policy "Read own and shared views" on public.saved_views
+  for select to authenticated
+  using ("userId" = auth.uid() or "isShared");
+
+create policy "Create own views" on public.saved_views
+  for insert to authenticated
+  with check ("userId" = auth.uid());
+
+create policy "Delete own views" on public.saved_views
+  for delete to authenticated
+  using ("userId" = auth.uid());
@@ -0,0 +1,10 @@
+-- Cancelled and no-show bookings are kept with their fee instead of being deleted
+
+alter table public.bookings
+  add column "cancelledAt" timestamptz,
+  add column "cancellationReason" text,
+  add column "cancellationFee" numeric not null default 0;
+
+alter table public.settings
+  add column "freeCancellationDays" integer not null default 7,
+  add column "cancellationFeePercentage" numeric not null default 0;
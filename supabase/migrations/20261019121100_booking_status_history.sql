@@ -0,0 +1,24 @@
+-- Every status change of a booking, with who made it
+
+create table public.booking_status_history (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  "bookingId" bigint not null references public.bookings on delete cascade,
+  "fromStatus" text,
+  "toStatus" text not null,
+  "actorId" uuid references auth.users on delete set null,
+  "actorName" text
+);
+
+create index on public.booking_status_history ("bookingId");
+
+alter table public.booking_status_history enable row level security;
+
+-- The history is only ever added to
+create policy "Read the history" on public.booking_status_history
+  for select to authenticated
+  using (true);
+
+create policy "Add to the history" on public.booking_status_history
+  for insert to authenticated
+  with check (true);
@@ -0,0 +1,5 @@
+-- A status change keeps the booking as it was before, so the change can be undone
+
+alter table public.booking_status_history
+  add column snapshot jsonb,
+  add column "isUndo" boolean not null default false;
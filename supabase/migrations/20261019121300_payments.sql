@@ -0,0 +1,22 @@
+-- Payments taken for a booking. bookings.isPaid is derived from them
+
+create table public.payments (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  "bookingId" bigint not null references public.bookings on delete cascade,
+  amount numeric not null check (amount > 0),
+  method text not null,
+  "paidAt" date not null default current_date,
+  reference text,
+  "recordedBy" uuid references auth.users on delete set null,
+  "recordedByName" text
+);
+
+create index on public.payments ("bookingId");
+
+alter table public.payments enable row level security;
+
+create policy "Enable all for authenticated users" on public.payments
+  for all to authenticated
+  using (true)
+  with check (true);
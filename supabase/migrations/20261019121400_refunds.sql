@@ -0,0 +1,28 @@
+-- Money given back to a guest. The identity id also numbers the credit note, which is never handed out twice
+
+create table public.refunds (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  "bookingId" bigint not null references public.bookings,
+  amount numeric not null check (amount > 0),
+  method text not null,
+  reason text,
+  "refundedAt" date not null default current_date,
+  "adjustsRevenue" boolean not null default true,
+  "creditNoteNumber" text unique,
+  "recordedBy" uuid references auth.users on delete set null,
+  "recordedByName" text
+);
+
+create index on public.refunds ("bookingId");
+
+alter table public.refunds enable row level security;
+
+create policy "Enable all for authenticated users" on public.refunds
+  for all to authenticated
+  using (true)
+  with check (true);
+
+-- The part of the refunds that lowered totalPrice
+alter table public.bookings
+  add column "refundedAmount" numeric not null default 0;
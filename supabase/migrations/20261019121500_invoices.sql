@@ -0,0 +1,37 @@
+-- Invoices keep what they billed when they were issued. The identity id numbers them, so a number is never handed out twice.
+-- When the billing of a booking changes its invoice is voided and a new one is issued, voided invoices are kept for the accounts
+
+create table public.invoices (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  "bookingId" bigint not null references public.bookings on delete restrict,
+  "invoiceNumber" text unique,
+  "issuedAt" date not null default current_date,
+  content jsonb,
+  "voidedAt" timestamptz
+);
+
+-- One valid invoice per booking
+create unique index invoices_valid_booking on public.invoices ("bookingId")
+  where "voidedAt" is null;
+
+alter table public.invoices enable row level security;
+
+create policy "Read invoices" on public.invoices
+  for select to authenticated
+  using (true);
+
+create policy "Issue invoices" on public.invoices
+  for insert to authenticated
+  with check (true);
+
+-- Invoices get their number and are voided after they were issued, they are never deleted
+create policy "Number and void invoices" on public.invoices
+  for update to authenticated
+  using (true)
+  with check (true);
+
+alter table public.settings
+  add column "propertyName" text,
+  add column "propertyAddress" text,
+  add column "taxRate" numeric not null default 0;
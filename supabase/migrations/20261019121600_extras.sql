@@ -0,0 +1,21 @@
+-- The catalog of extras a booking can add. pricing is one of EXTRA_PRICING
+
+create table public.extras (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  name text not null,
+  price numeric not null check (price >= 0),
+  pricing text not null default 'stay',
+  "isActive" boolean not null default true
+);
+
+alter table public.extras enable row level security;
+
+create policy "Enable all for authenticated users" on public.extras
+  for all to authenticated
+  using (true)
+  with check (true);
+
+-- A copy of the chosen extras, so later price changes don't touch existing bookings
+alter table public.bookings
+  add column extras jsonb not null default '[]';
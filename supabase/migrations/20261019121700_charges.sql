@@ -0,0 +1,28 @@
+-- Charges made during a stay (minibar, damages...). type is one of CHARGE_TYPES
+
+create table public.charges (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  "bookingId" bigint not null references public.bookings on delete cascade,
+  type text not null,
+  description text,
+  amount numeric not null check (amount > 0),
+  "recordedBy" uuid references auth.users on delete set null,
+  "recordedByName" text
+);
+
+create index on public.charges ("bookingId");
+
+alter table public.charges enable row level security;
+
+create policy "Enable all for authenticated users" on public.charges
+  for all to authenticated
+  using (true)
+  with check (true);
+
+-- chargesPrice is the sum of the charges of a booking and part of its totalPrice. The override columns are set when an admin
+-- checks out with a balance still due
+alter table public.bookings
+  add column "chargesPrice" numeric not null default 0,
+  add column "checkoutOverrideReason" text,
+  add column "checkoutOverrideBy" text;
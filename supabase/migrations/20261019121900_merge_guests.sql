@@ -0,0 +1,28 @@
+-- Moves the bookings of one guest to another and deletes it, all in one transaction. guest_data holds the values picked from
+-- both records. It runs with the rights of the caller, so the policies of guests and bookings still apply
+
+create or replace function public.merge_guests(keep_id bigint, remove_id bigint, guest_data jsonb)
+returns void
+language plpgsql
+set search_path = ''
+as $$
+begin
+  if keep_id = remove_id then
+    raise exception 'A guest can not be merged with itself';
+  end if;
+
+  update public.guests set
+    "fullName" = guest_data->>'fullName',
+    email = guest_data->>'email',
+    nationality = guest_data->>'nationality',
+    "nationalID" = guest_data->>'nationalID',
+    "countryFlag" = guest_data->>'countryFlag'
+  where id = keep_id;
+
+  update public.bookings set "guestId" = keep_id where "guestId" = remove_id;
+  delete from public.guests where id = remove_id;
+end;
+$$;
+
+revoke execute on function public.merge_guests from public, anon;
+grant execute on function public.merge_guests to authenticated;
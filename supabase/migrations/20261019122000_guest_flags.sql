@@ -0,0 +1,86 @@
+-- Guests can be flagged as VIP or do not rent, alertNote is shown with them wherever they show up. Booking a do-not-rent guest
+-- stores the admin's reason and name on the booking
+
+alter table public.guests
+  add column "isVip" boolean not null default false,
+  add column "isDoNotRent" boolean not null default false,
+  add column "alertNote" text;
+
+alter table public.bookings
+  add column "doNotRentOverrideReason" text,
+  add column "doNotRentOverrideBy" text;
+
+-- Admins have { "role": "admin" } in their app_metadata, which users can't change themselves
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+set search_path = ''
+as $$
+  select coalesce(auth.jwt() -> 'app_metadata' ->> 'role' = 'admin', false);
+$$;
+
+-- Only admins can flag a guest as do not rent or lift the flag, otherwise anybody could untick it and book the guest.
+-- Staff can still merge two guests as long as the flag of the merged guest stays what it was on either of them
+create or replace function public.check_do_not_rent_change()
+returns trigger
+language plpgsql
+set search_path = ''
+as $$
+begin
+  if auth.jwt() ->> 'role' is distinct from 'authenticated' or public.is_admin() then
+    return new;
+  end if;
+
+  if current_setting('hotel.merging_guests', true) = 'on' then
+    return new;
+  end if;
+
+  if (tg_op = 'INSERT' and new."isDoNotRent")
+    or (tg_op = 'UPDATE' and new."isDoNotRent" is distinct from old."isDoNotRent") then
+    raise exception 'Only admins can change the do not rent flag of a guest';
+  end if;
+
+  return new;
+end;
+$$;
+
+create trigger check_do_not_rent_change
+  before insert or update of "isDoNotRent" on public.guests
+  for each row execute function public.check_do_not_rent_change();
+
+create or replace function public.merge_guests(keep_id bigint, remove_id bigint, guest_data jsonb)
+returns void
+language plpgsql
+set search_path = ''
+as $$
+begin
+  if keep_id = remove_id then
+    raise exception 'A guest can not be merged with itself';
+  end if;
+
+  if not public.is_admin() and (guest_data->>'isDoNotRent')::boolean is distinct from (
+    select bool_or("isDoNotRent") from public.guests where id in (keep_id, remove_id)
+  ) then
+    raise exception 'Only admins can change the do not rent flag of a guest';
+  end if;
+
+  perform set_config('hotel.merging_guests', 'on', true);
+
+  update public.guests set
+    "fullName" = guest_data->>'fullName',
+    email = guest_data->>'email',
+    nationality = guest_data->>'nationality',
+    "nationalID" = guest_data->>'nationalID',
+    "countryFlag" = guest_data->>'countryFlag',
+    "isVip" = (guest_data->>'isVip')::boolean,
+    "isDoNotRent" = (guest_data->>'isDoNotRent')::boolean,
+    "alertNote" = guest_data->>'alertNote'
+  where id = keep_id;
+
+  perform set_config('hotel.merging_guests', 'off', true);
+
+  update public.bookings set "guestId" = keep_id where "guestId" = remove_id;
+  delete from public.guests where id = remove_id;
+end;
+$$;
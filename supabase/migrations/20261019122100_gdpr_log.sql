@@ -0,0 +1,64 @@
+-- Exports and erasures of a guest's personal data are logged. erasedAt is set once the personal data of a guest was erased
+
+alter table public.guests
+  add column "erasedAt" timestamptz;
+
+create table public.gdpr_log (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  "guestId" bigint not null references public.guests,
+  action text not null check (action in ('export', 'erasure')),
+  "performedBy" uuid references auth.users on delete set null,
+  "performedByName" text
+);
+
+create index on public.gdpr_log ("guestId");
+
+alter table public.gdpr_log enable row level security;
+
+create policy "Read the log" on public.gdpr_log
+  for select to authenticated
+  using (true);
+
+-- Only admins erase guests
+create policy "Add to the log" on public.gdpr_log
+  for insert to authenticated
+  with check (action = 'export' or public.is_admin());
+
+-- The log of a merged guest moves with their bookings
+create or replace function public.merge_guests(keep_id bigint, remove_id bigint, guest_data jsonb)
+returns void
+language plpgsql
+set search_path = ''
+as $$
+begin
+  if keep_id = remove_id then
+    raise exception 'A guest can not be merged with itself';
+  end if;
+
+  if not public.is_admin() and (guest_data->>'isDoNotRent')::boolean is distinct from (
+    select bool_or("isDoNotRent") from public.guests where id in (keep_id, remove_id)
+  ) then
+    raise exception 'Only admins can change the do not rent flag of a guest';
+  end if;
+
+  perform set_config('hotel.merging_guests', 'on', true);
+
+  update public.guests set
+    "fullName" = guest_data->>'fullName',
+    email = guest_data->>'email',
+    nationality = guest_data->>'nationality',
+    "nationalID" = guest_data->>'nationalID',
+    "countryFlag" = guest_data->>'countryFlag',
+    "isVip" = (guest_data->>'isVip')::boolean,
+    "isDoNotRent" = (guest_data->>'isDoNotRent')::boolean,
+    "alertNote" = guest_data->>'alertNote'
+  where id = keep_id;
+
+  perform set_config('hotel.merging_guests', 'off', true);
+
+  update public.bookings set "guestId" = keep_id where "guestId" = remove_id;
+  update public.gdpr_log set "guestId" = keep_id where "guestId" = remove_id;
+  delete from public.guests where id = remove_id;
+end;
+$$;
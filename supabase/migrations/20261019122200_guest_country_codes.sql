@@ -0,0 +1,38 @@
+-- guests.nationality holds an ISO 3166-1 country code like "PT". The old countryFlag URL column is not written anymore,
+-- it is only read once by the sample data uploader to fix the countries of older guests
+
+create or replace function public.merge_guests(keep_id bigint, remove_id bigint, guest_data jsonb)
+returns void
+language plpgsql
+set search_path = ''
+as $$
+begin
+  if keep_id = remove_id then
+    raise exception 'A guest can not be merged with itself';
+  end if;
+
+  if not public.is_admin() and (guest_data->>'isDoNotRent')::boolean is distinct from (
+    select bool_or("isDoNotRent") from public.guests where id in (keep_id, remove_id)
+  ) then
+    raise exception 'Only admins can change the do not rent flag of a guest';
+  end if;
+
+  perform set_config('hotel.merging_guests', 'on', true);
+
+  update public.guests set
+    "fullName" = guest_data->>'fullName',
+    email = guest_data->>'email',
+    nationality = guest_data->>'nationality',
+    "nationalID" = guest_data->>'nationalID',
+    "isVip" = (guest_data->>'isVip')::boolean,
+    "isDoNotRent" = (guest_data->>'isDoNotRent')::boolean,
+    "alertNote" = guest_data->>'alertNote'
+  where id = keep_id;
+
+  perform set_config('hotel.merging_guests', 'off', true);
+
+  update public.bookings set "guestId" = keep_id where "guestId" = remove_id;
+  update public.gdpr_log set "guestId" = keep_id where "guestId" = remove_id;
+  delete from public.guests where id = remove_id;
+end;
+$$;
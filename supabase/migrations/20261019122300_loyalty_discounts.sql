@@ -0,0 +1,11 @@
+-- A booking keeps the returning guest discount it was made with, the discount of each tier is a settings column (see LOYALTY_TIERS)
+
+alter table public.bookings
+  add column "loyaltyTier" text,
+  add column "loyaltyDiscountPercentage" numeric not null default 0,
+  add column "loyaltyDiscount" numeric not null default 0;
+
+alter table public.settings
+  add column "silverDiscountPercentage" numeric not null default 0,
+  add column "goldDiscountPercentage" numeric not null default 0,
+  add column "platinumDiscountPercentage" numeric not null default 0;
@@ -0,0 +1,36 @@
+-- The ID documents of the guests of a booking, captured at check in. guestNumber 1 is the guest who booked, minors don't need
+-- a document. Photos go to the private bucket "guest-documents", so they are only shown through signed URLs
+
+create table public.guest_documents (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  "bookingId" bigint not null references public.bookings,
+  "guestNumber" integer not null check ("guestNumber" > 0),
+  "fullName" text not null,
+  "isMinor" boolean not null default false,
+  "documentType" text,
+  "documentNumber" text,
+  "expiryDate" date,
+  "issuingCountry" text,
+  "photoPath" text,
+  unique ("bookingId", "guestNumber")
+);
+
+alter table public.guest_documents enable row level security;
+
+create policy "Enable all for authenticated users" on public.guest_documents
+  for all to authenticated
+  using (true)
+  with check (true);
+
+insert into storage.buckets (id, name, public)
+values ('guest-documents', 'guest-documents', false);
+
+create policy "Staff handle guest document photos" on storage.objects
+  for all to authenticated
+  using (bucket_id = 'guest-documents')
+  with check (bucket_id = 'guest-documents');
+
+-- Documents are kept this many days after the end date of their booking
+alter table public.settings
+  add column "documentRetentionDays" integer not null default 365 check ("documentRetentionDays" > 0);
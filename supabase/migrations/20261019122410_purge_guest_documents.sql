@@ -0,0 +1,22 @@
+-- Calls the purge-guest-documents edge function every night. Deleting the rows here would leave the photos behind, only the
+-- storage API removes those. The project URL and the service role key are read from the vault secrets "project_url" and
+-- "service_role_key", which are added once per project
+
+create extension if not exists pg_cron;
+create extension if not exists pg_net with schema extensions;
+
+select cron.schedule(
+  'purge-guest-documents',
+  '0 3 * * *',
+  $$
+  select net.http_post(
+    url := (select decrypted_secret from vault.decrypted_secrets where name = 'project_url')
+      || '/functions/v1/purge-guest-documents',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || (select decrypted_secret from vault.decrypted_secrets where name = 'service_role_key')
+    ),
+    body := '{}'::jsonb
+  );
+  $$
+);
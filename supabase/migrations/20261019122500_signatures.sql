@@ -0,0 +1,14 @@
+-- The guest's signature accepting the house rules, drawn at check in. The images go to the private bucket "signatures",
+-- so they are only shown through signed URLs
+
+alter table public.bookings
+  add column "signaturePath" text,
+  add column "signedAt" timestamptz;
+
+insert into storage.buckets (id, name, public)
+values ('signatures', 'signatures', false);
+
+create policy "Staff handle signatures" on storage.objects
+  for all to authenticated
+  using (bucket_id = 'signatures')
+  with check (bucket_id = 'signatures');